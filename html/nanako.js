@@ -65,29 +65,807 @@ function stringfyAsJson(env) {
     return lines.join('\n');
 }
 
+function formatValue(value) {
+    // エディタなどで表示するための文字列（文字列ビューはそのまま表示する）
+    if (value instanceof NanakoArray) {
+        if (value.isStringView) {
+            return '"' + value.elements.map(code => String.fromCharCode(code)).join('') + '"';
+        }
+        return value.emit("js");
+    }
+    if (value instanceof FunctionNode) {
+        return `入力 ${value.parameters.join(", ")} に対し { ... }`;
+    }
+    return `${value}`;
+}
+
+function traceValue(value) {
+    // トレースに残すためのJSONにできる値（配列はその時点の内容をコピーする）
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (value instanceof NanakoArray) {
+        if (value.isStringView) {
+            return value.elements.map(code => String.fromCharCode(code)).join('');
+        }
+        return value.elements.map(traceValue);
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+    return formatValue(value);
+}
+
+function visualizeValue(value, previous = null) {
+    // 配列を棒グラフ・グリッド・文字のマスのどれで描くかと、前の値から変わった添え字を返す
+    // value と previous は traceValue() の形（NanakoArray のままでもよい）
+    if (value instanceof NanakoArray) {
+        value = traceValue(value);
+    }
+    if (previous instanceof NanakoArray) {
+        previous = traceValue(previous);
+    }
+    const isNumbers = (values) => Array.isArray(values) && values.every(v => typeof v === 'number');
+    if (typeof value === 'string') {
+        const cells = Array.from(value);
+        const before = typeof previous === 'string' ? Array.from(previous) : null;
+        return { kind: 'chars', cells, changed: changedIndices(cells, before) };
+    }
+    if (isNumbers(value)) {
+        return { kind: 'bars', values: value, changed: changedIndices(value, isNumbers(previous) ? previous : null) };
+    }
+    if (Array.isArray(value) && value.length > 0 && value.every(isNumbers)) {
+        const changed = [];
+        if (Array.isArray(previous)) {
+            value.forEach((row, y) => {
+                const before = isNumbers(previous[y]) ? previous[y] : [];
+                for (const x of changedIndices(row, before)) {
+                    changed.push([y, x]);
+                }
+            });
+        }
+        return { kind: 'grid', rows: value, changed };
+    }
+    return null;
+}
+
+function changedIndices(values, previous) {
+    if (previous === null) {
+        return [];
+    }
+    const changed = [];
+    for (let i = 0; i < values.length; i++) {
+        if (i >= previous.length || values[i] !== previous[i]) {
+            changed.push(i);
+        }
+    }
+    return changed;
+}
+
+function formatArgument(value, maxLength = 40) {
+    // 呼び出し履歴用に一行にまとめ、長すぎる値は省略する
+    const text = formatValue(value).replace(/\n\s*/g, "").replace(/\],\[/g, "], [");
+    if (text.length > maxLength) {
+        return text.slice(0, maxLength) + "...";
+    }
+    return text;
+}
+
+function isNanako(lang) {
+    // "nanako" は記号のスタイル（x = 1）、"nanako-verb" は日本語のスタイル（x を 1 とする）
+    return lang === "nanako" || lang === "nanako-verb";
+}
+
+function emitComment(comment, lang) {
+    // コメントは "# ..." の形で持っているので、JavaScript では // に直す
+    return lang === "js" ? "//" + comment.slice(1) : comment;
+}
+
+function emitTrivia(trivia, lang, indent) {
+    // 空行は "" で表す
+    return trivia.map(line => line === "" ? "" : `${indent}${emitComment(line, lang)}`);
+}
+
+// ProgramNode.emitWithMap() の間だけ、各文の出力の先頭に目印 \u0000番号\u0000 を入れる
+let emitMarks = null;
+
+function sourceMapVlq(value) {
+    // Source Map v3 の Base64 VLQ
+    const digits = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+    let rest = value < 0 ? ((-value) << 1) | 1 : value << 1;
+    let text = "";
+    do {
+        let digit = rest & 31;
+        rest >>>= 5;
+        if (rest > 0) {
+            digit |= 32;
+        }
+        text += digits[digit];
+    } while (rest > 0);
+    return text;
+}
+
+function sourceMapMappings(segments, lineCount) {
+    // segments は [生成した行, 列, Nanako の行, 列]（すべて0始まり）で、行と列の順に並んでいる
+    const lines = Array.from({ length: lineCount }, () => []);
+    let sourceLine = 0;
+    let sourceCol = 0;
+    for (const [line, col, originalLine, originalCol] of segments) {
+        const previousCol = lines[line].length > 0 ? lines[line][lines[line].length - 1].col : 0;
+        lines[line].push({
+            col,
+            text: sourceMapVlq(col - previousCol) + sourceMapVlq(0) +
+                sourceMapVlq(originalLine - sourceLine) + sourceMapVlq(originalCol - sourceCol)
+        });
+        sourceLine = originalLine;
+        sourceCol = originalCol;
+    }
+    return lines.map(segment => segment.map(entry => entry.text).join(",")).join(";");
+}
+
+function emitStatements(statements, lang, indent) {
+    const lines = [];
+    for (const statement of statements) {
+        let code = statement.emitWithTrivia(lang, indent);
+        // 関数の定義のあとには空行が入っているので、空行を重ねない
+        if (code.startsWith("\n") && lines.length > 0 && lines[lines.length - 1].endsWith("\n")) {
+            code = code.slice(1);
+        }
+        lines.push(code);
+    }
+    return lines;
+}
+
+// emit("js") で生成したコードが使う関数
+// compileToJavaScript() がこの関数のソースをそのまま生成したコードの先頭に入れるので、
+// NanakoArray と stringfyAsJson のほかは外の名前を使わないこと
+function nanakoJsRuntime() {
+    const fail = (message) => {
+        throw new Error(message);
+    };
+    const nanako = {
+        incrementCount: 0,
+        decrementCount: 0,
+        compareCount: 0,
+        depth: 0,
+        maxDepth: 1000,
+
+        array(elements) {
+            const array = new NanakoArray([]);
+            array.elements = elements;
+            return array;
+        },
+
+        string(text) {
+            return new NanakoArray(text);
+        },
+
+        func(parameters, body) {
+            return { parameters, body };
+        },
+
+        call(env, name, ...args) {
+            // 呼び出した側の変数が見える（NanakoRuntime と同じ動的スコープ）
+            if (!(name in env)) {
+                fail(`関数 '${name}' が見つかりません`);
+            }
+            const func = env[name];
+            if (func === null || typeof func !== "object" || func.parameters === undefined) {
+                fail(`関数じゃないよ: ❌${func}`);
+            }
+            if (func.parameters.length !== args.length) {
+                fail("引数の数が一致しません");
+            }
+            if (nanako.maxDepth > 0 && nanako.depth >= nanako.maxDepth) {
+                fail(`再帰が深すぎます（${nanako.depth}段）`);
+            }
+            const local = { ...env };
+            func.parameters.forEach((parameter, i) => {
+                local[parameter] = args[i];
+            });
+            nanako.depth++;
+            try {
+                const value = func.body(local);
+                return value === undefined ? null : value;
+            } catch (e) {
+                // 大きすぎる配列の RangeError（Invalid array length など）は、そのまま伝える
+                if (e instanceof RangeError && String(e.message).includes("call stack")) {
+                    fail(`再帰が深すぎます（${nanako.depth}段）`);
+                }
+                throw e;
+            } finally {
+                nanako.depth--;
+            }
+        },
+
+        at(array, index) {
+            if (!(array instanceof NanakoArray)) {
+                fail(`配列ではありません: ❌${array}`);
+            }
+            if (typeof index === 'number') {
+                const idx = Math.floor(index);
+                if (0 <= idx && idx < array.elements.length) {
+                    return array.elements[idx];
+                }
+            }
+            fail(`配列の添え字は0から${array.elements.length - 1}の間ですよ: ❌${index}`);
+        },
+
+        put(array, index, value) {
+            // 添え字が ? のときは末尾に追加する
+            if (!(array instanceof NanakoArray)) {
+                fail(`配列ではありません: ❌${array}`);
+            }
+            if (typeof index === 'number') {
+                const idx = Math.floor(index);
+                if (0 <= idx && idx < array.elements.length) {
+                    array.elements[idx] = value;
+                    return;
+                }
+            } else if (index === null) {
+                array.elements.push(value);
+                return;
+            }
+            fail(`配列の添え字は0から${array.elements.length - 1}の間ですよ: ❌${index}`);
+        },
+
+        append(array, value) {
+            if (!(array instanceof NanakoArray)) {
+                fail(`配列じゃないね？ ❌${array}`);
+            }
+            array.elements.push(value);
+        },
+
+        len(value) {
+            if (!(value instanceof NanakoArray)) {
+                fail(`配列じゃないね？ ❌${value}`);
+            }
+            return value.elements.length;
+        },
+
+        increment(value) {
+            if (typeof value !== 'number') {
+                fail(`数じゃないよ: ❌${value}`);
+            }
+            nanako.incrementCount++;
+            return value + 1;
+        },
+
+        decrement(value) {
+            if (typeof value !== 'number') {
+                fail(`数じゃないよ: ❌${value}`);
+            }
+            nanako.decrementCount++;
+            return value - 1;
+        },
+
+        compare(result) {
+            nanako.compareCount++;
+            return result;
+        },
+
+        times(count) {
+            // ? 回は終わらないくり返し（数でないときは NanakoRuntime と同じく一度もくり返さない）
+            if (count === null) {
+                return Infinity;
+            }
+            if (count < 0) {
+                fail(`負のループ回数: ${count}`);
+            }
+            return Math.floor(count);
+        },
+
+        test(value, answer) {
+            const passed = value instanceof NanakoArray ? value.equals(answer) : value === answer;
+            if (!passed) {
+                fail(`テストに失敗: ${value}`);
+            }
+        },
+
+        print(value, line, code) {
+            console.log(`>>> ${code}   #(${line}行目)\n${value}`);
+        },
+
+        finish(env) {
+            // nanako_cli.js と同じく、最後に変数を JSON で表示する
+            if (Object.keys(env).length > 0) {
+                console.log(stringfyAsJson(env));
+            }
+        }
+    };
+    return nanako;
+}
+
+function jsVariable(name) {
+    // 変数は env のプロパティにする（JavaScript の予約語と同じ名前でも使える）
+    return /^[\p{ID_Start}$_][\p{ID_Continue}$]*$/u.test(name) ? `env.${name}` : `env[${JSON.stringify(name)}]`;
+}
+
+function compileToJavaScript(code, file = "program.nanako") {
+    // Node でそのまま動く JavaScript を作る（{code, lines, sourceMap} は emitWithMap() と同じ形）
+    const program = new NanakoParser().parse(code);
+    const result = program.emitWithMap("js", file);
+    const prelude = [
+        `// ${file} から Nanako ${NANAKO_VERSION} で生成`,
+        `const NanakoArray = ${NanakoArray};`,
+        `const stringfyAsJson = ${stringfyAsJson};`,
+        `const nanako = (${nanakoJsRuntime})();`,
+        "const env = {};",
+        ""
+    ].join("\n").split("\n");
+    const finish = ["", "nanako.finish(env);"];
+    const lines = prelude.map(() => null).concat(result.lines, finish.map(() => null));
+    const sourceMap = {
+        ...result.sourceMap,
+        mappings: ";".repeat(prelude.length) + result.sourceMap.mappings + ";".repeat(finish.length)
+    };
+    return { code: prelude.concat(result.code.split("\n"), finish).join("\n") + "\n", lines, sourceMap };
+}
+
+// compileToPython() が生成したコードの先頭に入れる実行時（emit("py") で生成したコードが使う）
+const PY_PRELUDE = `import itertools
+import sys
+
+# Nanako の再帰の上限(1000段)まで Python のスタックが足りるようにする
+sys.setrecursionlimit(10000)
+
+
+class NanakoError(Exception):
+    pass
+
+
+class NanakoArray(object):
+    # 文字列は文字コードの配列（is_string_view が True）
+    def __init__(self, elements, is_string_view=False):
+        self.elements = elements
+        self.is_string_view = is_string_view
+
+    def emit(self, indent=""):
+        # JavaScript の NanakoArray と同じ形で表示する
+        if self.is_string_view:
+            content = "".join(chr(code) for code in self.elements)
+            content = content.replace("\\\\", "\\\\\\\\").replace("\\n", "\\\\n").replace("\\t", "\\\\t").replace('"', '\\\\"')
+            return '"' + content + '"'
+        if len(self.elements) == 0:
+            return "[]"
+        if isinstance(self.elements[0], NanakoArray):
+            lines = ["["]
+            for element in self.elements:
+                lines.append(f"    {indent}{element.emit(indent + '  ')},")
+            lines[-1] = lines[-1][:-1]
+            lines.append(f"{indent}]")
+            return "\\n".join(lines)
+        return "[" + ", ".join(nanako.text(element) for element in self.elements) + "]"
+
+    def equals(self, other):
+        if not isinstance(other, NanakoArray) or len(self.elements) != len(other.elements):
+            return False
+        for a, b in zip(self.elements, other.elements):
+            if isinstance(a, NanakoArray) and isinstance(b, NanakoArray):
+                if not a.equals(b):
+                    return False
+            elif not nanako.same(a, b):
+                return False
+        return True
+
+    def __str__(self):
+        return self.emit()
+
+
+class NanakoFunction(object):
+    def __init__(self, parameters, body):
+        self.parameters = parameters
+        self.body = body
+
+    def __str__(self):
+        # JavaScript の実行時と同じ表示
+        return "[object Object]"
+
+
+class NanakoEnv(object):
+    # 変数は属性（env.x）か、Python の名前にできないときは env["x"] で使う
+    def __init__(self, variables=None):
+        vars(self).update(variables or {})
+
+    def __getattr__(self, name):
+        if name.startswith("__"):
+            raise AttributeError(name)
+        raise NanakoError(f"知らない変数だよ！ '{name}'")
+
+    def __getitem__(self, name):
+        if name not in vars(self):
+            raise NanakoError(f"知らない変数だよ！ '{name}'")
+        return vars(self)[name]
+
+    def __setitem__(self, name, value):
+        vars(self)[name] = value
+
+    def __contains__(self, name):
+        return name in vars(self)
+
+
+class NanakoRuntime(object):
+    def __init__(self):
+        self.increment_count = 0
+        self.decrement_count = 0
+        self.compare_count = 0
+        self.depth = 0
+        self.max_depth = 1000
+
+    def text(self, value):
+        if value is None:
+            return "null"
+        return str(value)
+
+    def same(self, a, b):
+        # JavaScript の === と同じく、配列と関数は同じものかどうかをくらべる
+        if isinstance(a, (NanakoArray, NanakoFunction)) or isinstance(b, (NanakoArray, NanakoFunction)):
+            return a is b
+        return a == b
+
+    def array(self, elements):
+        return NanakoArray(elements)
+
+    def string(self, text):
+        return NanakoArray([ord(ch) for ch in text], True)
+
+    def func(self, parameters, body):
+        return NanakoFunction(parameters, body)
+
+    def call(self, env, name, *args):
+        # 呼び出した側の変数が見える（JavaScript の実行時と同じ動的スコープ）
+        if name not in env:
+            raise NanakoError(f"関数 '{name}' が見つかりません")
+        func = env[name]
+        if not isinstance(func, NanakoFunction):
+            raise NanakoError(f"関数じゃないよ: ❌{self.text(func)}")
+        if len(func.parameters) != len(args):
+            raise NanakoError("引数の数が一致しません")
+        if self.max_depth > 0 and self.depth >= self.max_depth:
+            raise NanakoError(f"再帰が深すぎます（{self.depth}段）")
+        local = NanakoEnv(vars(env))
+        for parameter, value in zip(func.parameters, args):
+            local[parameter] = value
+        self.depth += 1
+        try:
+            return func.body(local)
+        except RecursionError:
+            raise NanakoError(f"再帰が深すぎます（{self.depth}段）")
+        finally:
+            self.depth -= 1
+
+    def at(self, array, index):
+        if not isinstance(array, NanakoArray):
+            raise NanakoError(f"配列ではありません: ❌{self.text(array)}")
+        if isinstance(index, int) and 0 <= index < len(array.elements):
+            return array.elements[index]
+        raise NanakoError(f"配列の添え字は0から{len(array.elements) - 1}の間ですよ: ❌{self.text(index)}")
+
+    def put(self, array, index, value):
+        # 添え字が ? のときは末尾に追加する
+        if not isinstance(array, NanakoArray):
+            raise NanakoError(f"配列ではありません: ❌{self.text(array)}")
+        if isinstance(index, int) and 0 <= index < len(array.elements):
+            array.elements[index] = value
+        elif index is None:
+            array.elements.append(value)
+        else:
+            raise NanakoError(f"配列の添え字は0から{len(array.elements) - 1}の間ですよ: ❌{self.text(index)}")
+
+    def append(self, array, value):
+        if not isinstance(array, NanakoArray):
+            raise NanakoError(f"配列じゃないね？ ❌{self.text(array)}")
+        array.elements.append(value)
+
+    def len(self, value):
+        if not isinstance(value, NanakoArray):
+            raise NanakoError(f"配列じゃないね？ ❌{self.text(value)}")
+        return len(value.elements)
+
+    def increment(self, value):
+        if not isinstance(value, int):
+            raise NanakoError(f"数じゃないよ: ❌{self.text(value)}")
+        self.increment_count += 1
+        return value + 1
+
+    def decrement(self, value):
+        if not isinstance(value, int):
+            raise NanakoError(f"数じゃないよ: ❌{self.text(value)}")
+        self.decrement_count += 1
+        return value - 1
+
+    def compare(self, left, operator, right):
+        # 数でないもののくらべ方も JavaScript と同じにする
+        self.compare_count += 1
+        if operator == "==":
+            return self.same(left, right)
+        if operator == "!=":
+            return not self.same(left, right)
+        left, right = self.primitive(left), self.primitive(right)
+        if not (isinstance(left, str) and isinstance(right, str)):
+            left, right = self.number(left), self.number(right)
+        if operator == "<":
+            return left < right
+        if operator == "<=":
+            return left <= right
+        if operator == ">":
+            return left > right
+        return left >= right
+
+    def primitive(self, value):
+        if value is None:
+            return 0
+        if isinstance(value, int):
+            return value
+        return self.text(value)
+
+    def number(self, value):
+        if isinstance(value, str):
+            try:
+                return float(value.strip() or "0")
+            except ValueError:
+                return float("nan")
+        return value
+
+    def loop(self, count):
+        # ? 回は終わらないくり返し、数でないときは一度もくり返さない
+        if count is None:
+            return itertools.count()
+        if not isinstance(count, int):
+            return range(0)
+        if count < 0:
+            raise NanakoError(f"負のループ回数: {count}")
+        return range(count)
+
+    def test(self, value, answer):
+        passed = value.equals(answer) if isinstance(value, NanakoArray) else self.same(value, answer)
+        if not passed:
+            raise NanakoError(f"テストに失敗: {self.text(value)}")
+
+    def print(self, value, line, code):
+        print(f">>> {code}   #({line}行目)\\n{self.text(value)}")
+
+    def json(self, env):
+        lines = ["{"]
+        indent = "    "
+        for key, value in vars(env).items():
+            if isinstance(value, (int, NanakoArray)) or value is None:
+                content = value.emit(indent) if isinstance(value, NanakoArray) else self.text(value)
+                lines.append(f'{indent}"{key}": {content},')
+        if len(lines) > 1:
+            lines[-1] = lines[-1][:-1]
+        lines.append("}")
+        return "\\n".join(lines)
+
+    def finish(self, env):
+        # nanako_cli.js と同じく、最後に変数を JSON で表示する
+        if len(vars(env)) > 0:
+            print(self.json(env))
+
+
+nanako = NanakoRuntime()
+`;
+
+const PY_KEYWORDS = new Set([
+    "False", "None", "True", "and", "as", "assert", "async", "await", "break", "class", "continue",
+    "def", "del", "elif", "else", "except", "finally", "for", "from", "global", "if", "import",
+    "in", "is", "lambda", "nonlocal", "not", "or", "pass", "raise", "return", "try", "while", "with", "yield"
+]);
+
+function isPyName(name) {
+    // Python は名前を NFKC で正規化するので、正規化で変わる名前は使わない
+    return /^[\p{ID_Start}_][\p{ID_Continue}]*$/u.test(name) && name === name.normalize("NFKC") && !PY_KEYWORDS.has(name);
+}
+
+function pyVariable(name) {
+    // 変数は env の属性にする（Python の名前にできないものは env["x"]）
+    return isPyName(name) && !name.startsWith("__") ? `env.${name}` : `env[${JSON.stringify(name)}]`;
+}
+
+function pyFunctionName(func) {
+    // def の名前（env と nanako は生成したコードで使うので避ける）
+    const name = func.name;
+    if (isPyName(name) && !["env", "nanako"].includes(name) && !/^lambda\d/.test(name)) {
+        return name;
+    }
+    const details = func.errorDetails();
+    return `lambda${details.line}x${details.col}`;
+}
+
+function compileToPython(code, file = "program.nanako") {
+    // python3 でそのまま動くモジュールを作る（{code, lines} は emitWithMap() と同じ形）
+    // 関数の名前が実行時の名前を隠さないように、プログラムは main() の中に入れる
+    const program = new NanakoParser().parse(code);
+    const result = program.emitWithMap("py", file);
+    const prelude = [`# ${file} から Nanako ${NANAKO_VERSION} で生成`, ...PY_PRELUDE.split("\n"), "", "def main(env):"];
+    const body = result.code === "" ? ["    pass"] : result.code.split("\n").map(line => line === "" ? "" : `    ${line}`);
+    const finish = [
+        "",
+        "",
+        'if __name__ == "__main__":',
+        "    env = NanakoEnv()",
+        "    main(env)",
+        "    nanako.finish(env)"
+    ];
+    const lines = prelude.map(() => null).concat(result.code === "" ? [null] : result.lines, finish.map(() => null));
+    return { code: prelude.concat(body, finish).join("\n") + "\n", lines, sourceMap: null };
+}
+
+function isStackOverflow(error) {
+    // JavaScript のスタックが尽きたときの RangeError だけ（Invalid array length などの RangeError は別）
+    // スタックが残り少ないと正規表現のコンパイルが SyntaxError になるので、includes で調べる
+    return error instanceof RangeError && String(error.message).includes("call stack");
+}
+
 // Runtime
 class NanakoRuntime {
     constructor() {
         this.incrementCount = 0;
         this.decrementCount = 0;
         this.compareCount = 0;
-        this.callFrames = []; // {funcName, args, pos}
+        this.callFrames = []; // {funcName, args, pos, source}
         this.shouldStop = false;
         this.timeout = 0;
         this.startTime = 0;
         this.interactiveMode = false;
+        this.statementCount = 0;
+        this.callCount = 0;
+        this.incrementsAtStart = 0; // start() のときの増やす・減らすの合計（予算は、そこからの回数でくらべる）
+        this.maxDepth = 1000; // 関数呼び出しの深さの上限（0は無制限）
+        // 実行量の上限（0は無制限）。increments は増やす・減らすの合計回数
+        this.budget = { statements: 0, calls: 0, increments: 0 };
+        this.trace = null; // startTrace() で NanakoTrace に記録する
+        this.profiler = null; // startProfile() で NanakoProfiler に記録する
+        // 関数から見える変数。"dynamic" は呼び出した側の変数、"lexical" は関数を定義したところの変数（クロージャ）
+        this.scoping = "dynamic";
+        this.level = null; // 授業のレベル。exec() などでパースするときに、使えない書き方をエラーにする
     }
 
-    pushCallFrame(funcName, args, pos) {
-        this.callFrames.push({ funcName, args, pos });
+    setBudget(budget) {
+        this.budget = { ...this.budget, ...budget };
+        return this;
+    }
+
+    pushCallFrame(funcName, args, pos, source = "") {
+        if (this.maxDepth > 0 && this.callFrames.length >= this.maxDepth) {
+            throw this.recursionError(errorDetails(source, pos));
+        }
+        this.callCount += 1;
+        if (this.budget.calls > 0 && this.callCount > this.budget.calls) {
+            throw new NanakoError(`関数呼び出し回数の上限(${this.budget.calls}回)に達しました`, errorDetails(source, pos));
+        }
+        this.callFrames.push({ funcName, args, pos, source });
+        if (this.profiler !== null) {
+            this.profiler.call(funcName);
+        }
     }
 
     popCallFrame() {
         this.callFrames.pop();
     }
 
+    closure(func, env) {
+        // lexical のときは、関数を定義したところの変数（env）を覚えた関数にする
+        // プロトタイプが FunctionNode なので、そのまま関数として使える
+        if (this.scoping !== "lexical") {
+            return func;
+        }
+        return Object.create(func, { scope: { value: env } });
+    }
+
+    functionScope(func, env) {
+        // 関数の中の変数。lexical のときは定義したところの変数をプロトタイプにして、
+        // 読むときはたどり、代入は関数の中だけにする
+        if (this.scoping === "lexical" && func.scope !== undefined) {
+            return Object.create(func.scope);
+        }
+        return { ...env };
+    }
+
+    recursionError(details) {
+        const error = new NanakoError(`再帰が深すぎます（${this.callFrames.length}段）`, details);
+        error.callFrames = this.snapshotCallFrames();
+        return error;
+    }
+
+    attachCallFrames(error) {
+        // 最初に捕まえたところ（いちばん深い呼び出し）の履歴を残す
+        if (error instanceof NanakoError && error.callFrames === null) {
+            error.callFrames = this.snapshotCallFrames();
+        }
+        return error;
+    }
+
+    snapshotCallFrames() {
+        return this.callFrames.map(frame => {
+            const details = errorDetails(frame.source, frame.pos);
+            return {
+                funcName: frame.funcName,
+                args: frame.args.map(value => formatArgument(value)),
+                line: details.line,
+                col: details.col
+            };
+        });
+    }
+
     updateVariable(name, env, source, pos) {
-        // JavaScript版では何もしない
+        if (this.trace !== null) {
+            this.trace.write(name, env);
+        }
+    }
+
+    startTrace(limit = 100000) {
+        this.trace = new NanakoTrace(limit);
+        return this.trace;
+    }
+
+    stopTrace() {
+        const trace = this.trace;
+        if (trace !== null) {
+            trace.finishRecord(this);
+        }
+        this.trace = null;
+        return trace;
+    }
+
+    startProfile() {
+        this.profiler = new NanakoProfiler();
+        return this.profiler;
+    }
+
+    stopProfile() {
+        const profiler = this.profiler;
+        this.profiler = null;
+        return profiler;
+    }
+
+    enterStatement(statement, env) {
+        this.statementCount += 1;
+        if (this.budget.statements > 0 && this.statementCount > this.budget.statements) {
+            throw new NanakoError(`実行ステップ数の上限(${this.budget.statements}回)に達しました`, statement.errorDetails());
+        }
+        // ループを含まない再帰でも止まるように、文ごとに停止を、1024文ごとにタイムアウトを調べる
+        // （時計を見るのは遅いので、毎回は見ない。くり返しは一周ごとに checkExecution() で調べる）
+        if (this.shouldStop || (this.statementCount % 1024 === 0 && this.timeout > 0 &&
+            (Date.now() - this.startTime) > this.timeout * 1000)) {
+            this.checkExecution(statement.errorDetails());
+        }
+        if (this.trace !== null) {
+            this.trace.enter(this, statement, env);
+        }
+        if (this.profiler !== null) {
+            this.profiler.count('statements', statement, this.callFrames);
+        }
+    }
+
+    countIncrement(node) {
+        this.incrementCount += 1;
+        this.checkIncrements(node);
+        if (this.profiler !== null) {
+            this.profiler.count('increments', node, this.callFrames);
+        }
+    }
+
+    countDecrement(node) {
+        this.decrementCount += 1;
+        this.checkIncrements(node);
+        if (this.profiler !== null) {
+            this.profiler.count('decrements', node, this.callFrames);
+        }
+    }
+
+    countCompare(node) {
+        this.compareCount += 1;
+        if (this.profiler !== null) {
+            this.profiler.count('compares', node, this.callFrames);
+        }
+    }
+
+    checkIncrements(node) {
+        const limit = this.budget.increments;
+        if (limit > 0 && this.incrementCount + this.decrementCount - this.incrementsAtStart > limit) {
+            throw new NanakoError(`増やす・減らすの回数の上限(${limit}回)に達しました`, node.errorDetails());
+        }
     }
 
     print(value, source, pos, endPos) {
@@ -103,6 +881,10 @@ class NanakoRuntime {
         this.shouldStop = false;
         this.timeout = timeout;
         this.startTime = Date.now();
+        this.statementCount = 0;
+        this.callCount = 0;
+        // incrementCount・decrementCount はエディタが合計を表示するので、0 にはもどさない
+        this.incrementsAtStart = this.incrementCount + this.decrementCount;
     }
 
     checkExecution(errorDetails) {
@@ -117,19 +899,103 @@ class NanakoRuntime {
         }
     }
 
+    stop() {
+        this.shouldStop = true;
+    }
+
     exec(code, env = null, timeout = 30) {
         if (env === null) {
             env = {};
         } else {
             env = transformArray(env);
         }
-        const parser = new NanakoParser();
+        const parser = new NanakoParser({ level: this.level });
         const program = parser.parse(code);
         this.start(timeout);
         program.evaluate(this, env);
         return env;
     }
 
+    execCompiled(code, env = null, timeout = 30) {
+        // exec() と同じ結果を NanakoCompiler で速く求める
+        if (env === null) {
+            env = {};
+        } else {
+            env = transformArray(env);
+        }
+        const parser = new NanakoParser({ level: this.level });
+        const program = parser.parse(code);
+        this.start(timeout);
+        this.runCompiled(program, env);
+        return env;
+    }
+
+    runCompiled(program, env) {
+        // execCompiled() と Web Worker で使う実行のしかた（start() はよぶ側ですませておく）
+        // トレース中と lexical のときは exec() と同じく木をたどる
+        if (this.trace !== null || this.scoping === "lexical") {
+            program.evaluate(this, env);
+        } else {
+            new NanakoCompiler(this).run(program, env);
+        }
+    }
+
+    execBytecode(code, env = null, timeout = 30) {
+        // exec() と同じ結果を NanakoVM で求める
+        if (env === null) {
+            env = {};
+        } else {
+            env = transformArray(env);
+        }
+        const parser = new NanakoParser({ level: this.level });
+        const program = parser.parse(code);
+        this.start(timeout);
+        new NanakoVM(this).run(program, env);
+        return env;
+    }
+
+    async execAsync(code, env = null, timeout = 30, options = {}) {
+        if (env === null) {
+            env = {};
+        } else {
+            env = transformArray(env);
+        }
+        const parser = new NanakoParser({ level: this.level });
+        const program = parser.parse(code);
+        this.start(timeout);
+        await this.evaluateAsync(program, env, options);
+        return env;
+    }
+
+    // chunkSize 個の文を実行するたびにイベントループへ制御を返す
+    // その間に stop() が呼ばれていれば checkExecution() で停止する
+    async evaluateAsync(program, env, options = {}) {
+        const chunkSize = options.chunkSize || 1000;
+        const onProgress = options.onProgress || null;
+        const steps = program.evaluateSteps(this, env);
+        let count = 0;
+        try {
+            while (true) {
+                const result = steps.next();
+                if (result.done) {
+                    break;
+                }
+                count++;
+                if (count % chunkSize === 0) {
+                    const node = result.value.node;
+                    if (onProgress) {
+                        onProgress({ steps: count, line: node.lineNumber(), elapsed: Date.now() - this.startTime });
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    this.checkExecution(node.errorDetails());
+                }
+            }
+        } finally {
+            steps.return();
+        }
+        return env;
+    }
+
     transformArray(value) {
         return transformArray(value);
     }
@@ -214,12 +1080,29 @@ class NanakoError extends SyntaxError {
     constructor(message, details) {
         super(message);
         this.details = details;
+        this.callFrames = null; // {funcName, args, line, col}
         if (details && typeof details === 'object') {
             this.line = details.line;
             this.col = details.col;
             this.pos = details.pos;
         }
     }
+
+    formatTraceback(limit = 10) {
+        if (!this.callFrames || this.callFrames.length === 0) {
+            return "";
+        }
+        // 新しい呼び出しから順に並べる
+        const frames = this.callFrames.slice().reverse();
+        const lines = ["呼び出し履歴（新しい順）:"];
+        for (const frame of frames.slice(0, limit)) {
+            lines.push(`  ${frame.funcName}(${frame.args.join(", ")})   #(${frame.line}行目)`);
+        }
+        if (frames.length > limit) {
+            lines.push(`  ...（ほか${frames.length - limit}件）`);
+        }
+        return lines.join("\n");
+    }
 }
 
 class BreakBreakException extends Error {
@@ -235,31 +1118,114 @@ class ReturnBreakException extends Error {
     }
 }
 
+function scopeHint(env) {
+    // lexical の関数の中（NanakoRuntime.functionScope を参照）で変数が見つからないときの説明
+    if (Object.getPrototypeOf(env) === Object.prototype) {
+        return "";
+    }
+    return "（関数の中で使えるのは、引数と関数の中で代入した変数と、関数を定義したところの変数です）";
+}
+
+// NanakoCompiler のクロージャは、くり返しを抜ける・答え を例外ではなく戻り値で伝える
+// くり返しを抜けるときは BREAK_SIGNAL、答えのときは { value } を返す
+const BREAK_SIGNAL = { signal: "break" };
+
 // AST Node Classes
 class ASTNode {
     constructor() {
         this.source = "";
         this.pos = 0;
         this.endPos = 0;
+        this.cachedLine = null;
     }
 
     errorDetails() {
         return errorDetails(this.source, this.pos);
     }
 
+    lineNumber() {
+        // 行番号はステップ実行のたびに参照されるのでキャッシュする
+        if (this.cachedLine === null) {
+            this.cachedLine = errorDetails(this.source, this.pos).line;
+        }
+        return this.cachedLine;
+    }
+
     evaluate(runtime, env) {
         throw new Error("Abstract method");
     }
 
+    // evaluate() と同じ意味で評価するジェネレータ版
+    // 各文を実行する直前に { node, env } を yield し、評価結果を return する
+    *evaluateSteps(runtime, env) {
+        return this.evaluate(runtime, env);
+    }
+
+    // evaluate() と同じ意味のクロージャを返す（NanakoCompiler を参照）
+    compile(compiler) {
+        throw new Error("Abstract method");
+    }
+
+    // evaluate() と同じ意味の命令を assembler に並べる（NanakoVM を参照）
+    assemble(assembler) {
+        throw new Error("Abstract method");
+    }
+
     emit(lang = "js", indent = "") {
         throw new Error("Abstract method");
     }
+
+    toJSON() {
+        // JSON 形式は docs/ast_schema.md を参照
+        return astToJSON(this, new Map());
+    }
+
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (data.schemaVersion !== undefined && data.schemaVersion > AST_SCHEMA_VERSION) {
+            throw new NanakoError(`AST の形式(バージョン${data.schemaVersion})に対応していません`, null);
+        }
+        return astFromJSON(data, data.source || "");
+    }
 }
 
 // Statement classes
 class StatementNode extends ASTNode {
+    constructor() {
+        super();
+        this.leadingTrivia = [];    // 文の前のコメント（"# ..."）と空行（""）
+        this.trailingComment = null; // 文の行末のコメント
+    }
+
     semicolon(lang = "js") {
-        return lang === "py" ? "" : ";";
+        return lang === "py" || isNanako(lang) ? "" : ";";
+    }
+
+    emitWithTrivia(lang = "js", indent = "") {
+        // 前のコメント・空行と行末のコメントもいっしょに出力する
+        let code = this.emit(lang, indent);
+        if (lang === "py") {
+            // 式の中の関数は、文の前で def しておく
+            const definitions = expressionFunctions(this).map(func => func.emitDefinition(lang, indent));
+            code = [...definitions, code].join("\n");
+        }
+        if (emitMarks !== null) {
+            code = `\u0000${emitMarks.length}\u0000${code}`;
+            emitMarks.push(this);
+        }
+        const lines = emitTrivia(this.leadingTrivia, lang, indent);
+        if (this.trailingComment === null) {
+            lines.push(code);
+        } else {
+            // 行末のコメントは最初の行（ブロックなら { の行）につける
+            const eol = code.indexOf("\n");
+            const first = eol === -1 ? code : code.slice(0, eol);
+            const comment = emitComment(this.trailingComment, lang);
+            lines.push(`${first}  ${comment}${eol === -1 ? "" : code.slice(eol)}`);
+        }
+        return lines.join("\n");
     }
 }
 
@@ -270,23 +1236,105 @@ class ProgramNode extends StatementNode {
     constructor(statements) {
         super();
         this.statements = Array.isArray(statements) ? statements : [];
+        this.endTrivia = []; // 最後の文のあとのコメントと空行
+    }
+
+    emitWithMap(lang = "js", file = "program.nanako") {
+        // 生成したコードといっしょに、生成した各行が Nanako の何行目から来たか（lines）を返す
+        // JavaScript には Source Map v3 も付ける
+        emitMarks = [];
+        const statements = emitMarks;
+        let code;
+        try {
+            code = this.emit(lang, "");
+        } finally {
+            emitMarks = null;
+        }
+        const lineStarts = new Map();
+        const lines = [];
+        const segments = [];
+        const output = code.split("\n").map((text, i) => {
+            lines.push(null);
+            const mark = /\u0000(\d+)\u0000/g;
+            let result = "";
+            let last = 0;
+            let match;
+            while ((match = mark.exec(text)) !== null) {
+                result += text.slice(last, match.index);
+                last = match.index + match[0].length;
+                const start = astRange(statements[Number(match[1])], lineStarts).start;
+                const indent = /^ */.exec(text.slice(last))[0].length;
+                segments.push([i, result.length + indent, start.line - 1, start.col - 1]);
+                if (lines[i] === null) {
+                    lines[i] = start.line;
+                }
+            }
+            return result + text.slice(last);
+        });
+        const sourceMap = lang !== "js" ? null : {
+            version: 3,
+            file: file.replace(/\.nanako$/, "") + ".js",
+            sources: [file],
+            sourcesContent: [this.source],
+            names: [],
+            mappings: sourceMapMappings(segments, output.length)
+        };
+        return { code: output.join("\n"), lines, sourceMap };
     }
 
     evaluate(runtime, env) {
-        if (Array.isArray(this.statements)) {
-            for (const statement of this.statements) {
-                statement.evaluate(runtime, env);
+        try {
+            if (Array.isArray(this.statements)) {
+                for (const statement of this.statements) {
+                    runtime.enterStatement(statement, env);
+                    statement.evaluate(runtime, env);
+                }
             }
+        } catch (e) {
+            throw runtime.attachCallFrames(e);
         }
     }
 
-    emit(lang = "js", indent = "") {
-        const lines = [];
-        if (Array.isArray(this.statements)) {
-            for (const statement of this.statements) {
-                lines.push(statement.emit(lang, indent));
+    *evaluateSteps(runtime, env) {
+        try {
+            if (Array.isArray(this.statements)) {
+                for (const statement of this.statements) {
+                    yield { node: statement, env };
+                    runtime.enterStatement(statement, env);
+                    yield* statement.evaluateSteps(runtime, env);
+                }
             }
+        } catch (e) {
+            throw runtime.attachCallFrames(e);
         }
+    }
+
+    compile(compiler) {
+        const block = BlockNode.prototype.compile.call(this, compiler);
+        const runtime = compiler.runtime;
+        return () => {
+            try {
+                const signal = block();
+                // 関数の外の くり返しを抜ける・答え は evaluate() と同じく例外にする
+                if (signal === BREAK_SIGNAL) {
+                    throw new BreakBreakException();
+                }
+                if (signal !== undefined) {
+                    throw new ReturnBreakException(signal.value);
+                }
+            } catch (e) {
+                throw runtime.attachCallFrames(e);
+            }
+        };
+    }
+
+    assemble(assembler) {
+        assembler.statements(this.statements);
+    }
+
+    emit(lang = "js", indent = "") {
+        const lines = emitStatements(this.statements, lang, indent);
+        lines.push(...emitTrivia(this.endTrivia, lang, indent));
         return lines.join("\n");
     }
 }
@@ -295,26 +1343,54 @@ class BlockNode extends StatementNode {
     constructor(statements) {
         super();
         this.statements = Array.isArray(statements) ? statements : [];
+        this.endTrivia = []; // 閉じ } の前のコメントと空行
     }
 
     evaluate(runtime, env) {
         if (Array.isArray(this.statements)) {
             for (const statement of this.statements) {
+                runtime.enterStatement(statement, env);
                 statement.evaluate(runtime, env);
             }
         }
     }
 
-    emit(lang = "js", indent = "") {
-        const lines = [];
+    *evaluateSteps(runtime, env) {
         if (Array.isArray(this.statements)) {
             for (const statement of this.statements) {
-                lines.push(statement.emit(lang, indent + "    "));
+                yield { node: statement, env };
+                runtime.enterStatement(statement, env);
+                yield* statement.evaluateSteps(runtime, env);
             }
         }
+    }
+
+    compile(compiler) {
+        const runtime = compiler.runtime;
+        const statements = this.statements;
+        const closures = statements.map(statement => statement.compile(compiler));
+        return () => {
+            for (let i = 0; i < closures.length; i++) {
+                runtime.enterStatement(statements[i], null);
+                const signal = closures[i]();
+                if (signal !== undefined) {
+                    return signal;
+                }
+            }
+            return undefined;
+        };
+    }
+
+    assemble(assembler) {
+        assembler.statements(this.statements);
+    }
+
+    emit(lang = "js", indent = "") {
+        const lines = emitStatements(this.statements, lang, indent + "    ");
+        lines.push(...emitTrivia(this.endTrivia, lang, indent + "    "));
         if (lang === "py") {
-            if (lines.length === 0) {
-                lines.push(`${indent}pass`);
+            if (this.statements.length === 0) {
+                lines.push(`${indent}    pass`);
             }
         } else {
             lines.push(`${indent}}`);
@@ -328,7 +1404,18 @@ class NullNode extends ExpressionNode {
         return null;
     }
 
+    compile(compiler) {
+        return () => null;
+    }
+
+    assemble(assembler) {
+        assembler.emit("PUSH", null, this);
+    }
+
     emit(lang = "js", indent = "") {
+        if (isNanako(lang)) {
+            return "?";
+        }
         return lang === "py" ? "None" : "null";
     }
 }
@@ -343,6 +1430,15 @@ class NumberNode extends ExpressionNode {
         return this.value;
     }
 
+    compile(compiler) {
+        const value = this.value;
+        return () => value;
+    }
+
+    assemble(assembler) {
+        assembler.emit("PUSH", this.value, this);
+    }
+
     emit(lang = "js", indent = "") {
         return String(this.value);
     }
@@ -356,17 +1452,36 @@ class LenNode extends ExpressionNode {
 
     evaluate(runtime, env) {
         const value = this.element.evaluate(runtime, env);
+        return this.lengthOf(value);
+    }
+
+    *evaluateSteps(runtime, env) {
+        const value = yield* this.element.evaluateSteps(runtime, env);
+        return this.lengthOf(value);
+    }
+
+    lengthOf(value) {
         if (value instanceof NanakoArray) {
             return value.elements.length;
         }
         throw new NanakoError(`配列じゃないね？ ❌${value}`, this.element.errorDetails());
     }
 
+    compile(compiler) {
+        const element = this.element.compile(compiler);
+        return () => this.lengthOf(element());
+    }
+
+    assemble(assembler) {
+        this.element.assemble(assembler);
+        assembler.emit("LEN", null, this);
+    }
+
     emit(lang = "js", indent = "") {
-        if (lang === "py") {
-            return "len(" + this.element.emit(lang, indent) + ")";
+        if (isNanako(lang)) {
+            return "|" + this.element.emit(lang, indent) + "|";
         }
-        return "(" + this.element.emit(lang, indent) + ").length";
+        return "nanako.len(" + this.element.emit(lang, indent) + ")";
     }
 }
 
@@ -378,14 +1493,35 @@ class MinusNode extends ExpressionNode {
 
     evaluate(runtime, env) {
         const value = this.element.evaluate(runtime, env);
+        return this.negate(value);
+    }
+
+    *evaluateSteps(runtime, env) {
+        const value = yield* this.element.evaluateSteps(runtime, env);
+        return this.negate(value);
+    }
+
+    negate(value) {
         if (typeof value !== 'number') {
             throw new NanakoError("数ではないよ", this.errorDetails());
         }
         return -value;
     }
 
+    compile(compiler) {
+        const element = this.element.compile(compiler);
+        return () => this.negate(element());
+    }
+
+    assemble(assembler) {
+        this.element.assemble(assembler);
+        assembler.emit("NEG", null, this);
+    }
+
     emit(lang = "js", indent = "") {
-        return `-${this.element.emit(lang, indent)}`;
+        const element = this.element.emit(lang, indent);
+        // --x にならないようにする
+        return element.startsWith("-") ? `-(${element})` : `-${element}`;
     }
 }
 
@@ -400,14 +1536,42 @@ class ArrayNode extends ExpressionNode {
         return new NanakoArray(arrayContent);
     }
 
+    *evaluateSteps(runtime, env) {
+        const arrayContent = [];
+        for (const element of this.elements) {
+            arrayContent.push(yield* element.evaluateSteps(runtime, env));
+        }
+        return new NanakoArray(arrayContent);
+    }
+
+    compile(compiler) {
+        const elements = this.elements.map(element => element.compile(compiler));
+        return () => new NanakoArray(elements.map(element => element()));
+    }
+
+    assemble(assembler) {
+        for (const element of this.elements) {
+            element.assemble(assembler);
+        }
+        assembler.emit("ARRAY", this.elements.length, this);
+    }
+
     emit(lang = "js", indent = "") {
+        if (isNanako(lang) && this.elements.some(element => element instanceof ArrayNode)) {
+            // 二次元以上の配列は一行にひとつずつ並べる
+            const lines = this.elements.map(element => `${indent}    ${element.emit(lang, indent + "    ")}`);
+            return `[\n${lines.join(",\n")}\n${indent}]`;
+        }
         const elements = [];
         if (Array.isArray(this.elements)) {
             for (const element of this.elements) {
                 elements.push(element.emit(lang, indent));
             }
         }
-        return "[" + elements.join(", ") + "]";
+        if (isNanako(lang)) {
+            return "[" + elements.join(", ") + "]";
+        }
+        return "nanako.array([" + elements.join(", ") + "])";
     }
 }
 
@@ -421,8 +1585,21 @@ class StringNode extends ExpressionNode {
         return this.value;
     }
 
+    compile(compiler) {
+        return () => this.value;
+    }
+
+    assemble(assembler) {
+        assembler.emit("PUSH", this.value, this);
+    }
+
     emit(lang = "js", indent = "") {
-        return this.value.emit(lang, indent);
+        if (isNanako(lang)) {
+            return this.value.emit(lang, indent);
+        }
+        // 文字列は文字コードの配列
+        const text = String.fromCharCode(...this.value.elements);
+        return `nanako.string(${JSON.stringify(text)})`;
     }
 }
 
@@ -435,7 +1612,18 @@ class FunctionNode extends ExpressionNode {
     }
 
     evaluate(runtime, env) {
-        return this;
+        return runtime.closure(this, env);
+    }
+
+    compile(compiler) {
+        // NanakoCompiler は dynamic だけ（lexical のときは evaluate() を使う）
+        return () => this;
+    }
+
+    assemble(assembler) {
+        // 本体は呼び出したときに NanakoVM が別の命令列にする
+        assembler.functions.push(this);
+        assembler.emit("CLOSURE", this, this);
     }
 
     emit(lang = "js", indent = "") {
@@ -450,19 +1638,20 @@ class FunctionNode extends ExpressionNode {
             body = this.body.emit(lang, indent);
         }
                 
+        if (isNanako(lang)) {
+            return `入力 ${params} に対し {\n${body}`;
+        }
+        // 引数は env に入れてから呼ぶ
+        const names = (Array.isArray(this.parameters) ? this.parameters : []).map(name => JSON.stringify(name));
         if (lang === "py") {
-            if (this.name && this.name !== "<lambda>") {
-                // Named function definition
-                return `def ${this.name}(${params}):\n${body}\n`;
-            }
-            // Anonymous lambda function
-            return `lambda ${params}: (${body.trim()})`;
+            // 本体は文の前に emitDefinition() で def しておく
+            return `nanako.func([${names.join(", ")}], ${pyFunctionName(this)})`;
         }
-        // JavaScript function
-        // if (this.name && this.name !== "<lambda>") {
-        //     return `function ${this.name}(${params}) {\n${body}\n}`;
-        // }
-        return `function (${params}) {\n${body}`;
+        return `nanako.func([${names.join(", ")}], function (env) {\n${body})`;
+    }
+
+    emitDefinition(lang = "py", indent = "") {
+        return `${indent}def ${pyFunctionName(this)}(env):\n${this.body.emit(lang, indent)}`;
     }
 }
 
@@ -474,35 +1663,126 @@ class FuncCallNode extends ExpressionNode {
     }
 
     evaluate(runtime, env) {
-        if (!(this.name in env)) {
-            throw new NanakoError(`関数 '${this.name}' が見つかりません`, this.errorDetails());
+        const func = this.lookupFunction(env);
+        const newEnv = runtime.functionScope(func, env);
+        const args = [];
+        for (let i = 0; i < func.parameters.length; i++) {
+            const value = this.arguments[i].evaluate(runtime, env);
+            newEnv[func.parameters[i]] = value;
+            args.push(value);
         }
-        const func = env[this.name];
-        if (func.parameters.length !== this.arguments.length) {
-            throw new NanakoError("引数の数が一致しません", this.errorDetails());
+        runtime.pushCallFrame(this.name, args, this.pos, this.source);
+        try {
+            func.body.evaluate(runtime, newEnv);
+        } catch (e) {
+            if (e instanceof ReturnBreakException) {
+                return e.value;
+            }
+            if (isStackOverflow(e)) {
+                // JavaScript のスタックが先に尽きた
+                throw runtime.recursionError(this.errorDetails());
+            }
+            throw runtime.attachCallFrames(e);
+        } finally {
+            runtime.popCallFrame();
         }
+        return null;
+    }
 
-        const newEnv = { ...env };
+    *evaluateSteps(runtime, env) {
+        const func = this.lookupFunction(env);
+        const newEnv = runtime.functionScope(func, env);
         const args = [];
         for (let i = 0; i < func.parameters.length; i++) {
-            const value = this.arguments[i].evaluate(runtime, env);
+            const value = yield* this.arguments[i].evaluateSteps(runtime, env);
             newEnv[func.parameters[i]] = value;
             args.push(value);
         }
+        runtime.pushCallFrame(this.name, args, this.pos, this.source);
         try {
-            runtime.pushCallFrame(this.name, args, this.pos);
-            func.body.evaluate(runtime, newEnv);
+            yield* func.body.evaluateSteps(runtime, newEnv);
         } catch (e) {
             if (e instanceof ReturnBreakException) {
-                runtime.popCallFrame();
                 return e.value;
             }
-            throw e;
+            if (isStackOverflow(e)) {
+                throw runtime.recursionError(this.errorDetails());
+            }
+            throw runtime.attachCallFrames(e);
+        } finally {
+            runtime.popCallFrame();
         }
-        runtime.popCallFrame();
         return null;
     }
 
+    lookupFunction(env) {
+        if (!(this.name in env)) {
+            throw new NanakoError(`関数 '${this.name}' が見つかりません${scopeHint(env)}`, this.errorDetails());
+        }
+        const func = env[this.name];
+        if (!(func instanceof FunctionNode)) {
+            throw new NanakoError(`関数じゃないよ: ❌${func}`, this.errorDetails());
+        }
+        if (func.parameters.length !== this.arguments.length) {
+            throw new NanakoError("引数の数が一致しません", this.errorDetails());
+        }
+        return func;
+    }
+
+    compile(compiler) {
+        // evaluate() の { ...env } のコピーのかわりに、関数が書きかえる変数だけを保存して戻す
+        const runtime = compiler.runtime;
+        const values = compiler.values;
+        const slot = compiler.slot(this.name);
+        const args = this.arguments.map(argument => argument.compile(compiler));
+        return () => {
+            const func = values[slot];
+            if (func === undefined) {
+                throw new NanakoError(`関数 '${this.name}' が見つかりません`, this.errorDetails());
+            }
+            if (!(func instanceof FunctionNode)) {
+                throw new NanakoError(`関数じゃないよ: ❌${func}`, this.errorDetails());
+            }
+            if (func.parameters.length !== args.length) {
+                throw new NanakoError("引数の数が一致しません", this.errorDetails());
+            }
+            const compiled = compiler.compileFunction(func);
+            const argValues = args.map(argument => argument());
+            runtime.pushCallFrame(this.name, argValues, this.pos, this.source);
+            const saved = compiled.locals.map(local => values[local]);
+            for (let i = 0; i < argValues.length; i++) {
+                values[compiled.parameters[i]] = argValues[i];
+            }
+            try {
+                const signal = compiled.body();
+                if (signal === BREAK_SIGNAL) {
+                    // 関数の中の くり返しを抜ける は、呼び出した側のくり返しを抜ける
+                    throw new BreakBreakException();
+                }
+                return signal === undefined ? null : signal.value;
+            } catch (e) {
+                if (isStackOverflow(e)) {
+                    throw runtime.recursionError(this.errorDetails());
+                }
+                throw runtime.attachCallFrames(e);
+            } finally {
+                runtime.popCallFrame();
+                compiled.locals.forEach((local, i) => {
+                    values[local] = saved[i];
+                });
+            }
+        };
+    }
+
+    assemble(assembler) {
+        // evaluate() と同じく、関数を探してから引数を計算する
+        assembler.emit("FUNC", this.name, this);
+        for (const argument of this.arguments) {
+            argument.assemble(assembler);
+        }
+        assembler.emit("CALL", this.arguments.length, this);
+    }
+
     emit(lang = "js", indent = "") {
         const args = [];
         if (Array.isArray(this.arguments)) {
@@ -511,7 +1791,10 @@ class FuncCallNode extends ExpressionNode {
             }
         }
         const params = args.join(", ");
-        return `${this.name}(${params})`;
+        if (isNanako(lang)) {
+            return `${this.name}(${params})`;
+        }
+        return `nanako.call(${["env", JSON.stringify(this.name), ...args].join(", ")})`;
     }
 }
 
@@ -523,28 +1806,25 @@ class VariableNode extends ExpressionNode {
     }
 
     evaluate(runtime, env) {
-        if (!(this.name in env)) {
-            throw new NanakoError(`知らない変数だよ！ '${this.name}'`, this.errorDetails());
-        }
-        let value = env[this.name];
+        let array = this.lookup(env);
         if (this.indices === null || this.indices.length === 0) {
-            return value;
+            return array;
+        }
+        for (const index of this.indices) {
+            this.checkArray(array);
+            array = this.elementAt(array, index.evaluate(runtime, env), index);
         }
+        return array;
+    }
 
-        let array = env[this.name];
+    *evaluateSteps(runtime, env) {
+        let array = this.lookup(env);
+        if (this.indices === null || this.indices.length === 0) {
+            return array;
+        }
         for (const index of this.indices) {
-            if (!(array instanceof NanakoArray)) {
-                throw new NanakoError(`配列ではありません: ❌${array}`, this.errorDetails());
-            }
-            const indexValue = index.evaluate(runtime, env);
-            if (typeof indexValue === 'number') {
-                const idx = Math.floor(indexValue);
-                if (0 <= idx && idx < array.elements.length) {
-                    array = array.elements[idx];
-                    continue;
-                }
-            }
-            throw new NanakoError(`配列の添え字は0から${array.elements.length - 1}の間ですよ: ❌${indexValue}`, index.errorDetails());
+            this.checkArray(array);
+            array = this.elementAt(array, yield* index.evaluateSteps(runtime, env), index);
         }
         return array;
     }
@@ -554,50 +1834,163 @@ class VariableNode extends ExpressionNode {
             env[this.name] = value;
             return;
         }
+        let array = this.lookup(env);
+        const last = this.indices.length - 1;
+        for (let i = 0; i < last; i++) {
+            this.checkArray(array);
+            array = this.elementAt(array, this.indices[i].evaluate(runtime, env), this.indices[i]);
+        }
+        this.checkArray(array);
+        this.storeAt(array, this.indices[last].evaluate(runtime, env), this.indices[last], value);
+    }
+
+    *evaluateWithSteps(runtime, env, value) {
+        if (this.indices === null || this.indices.length === 0) {
+            env[this.name] = value;
+            return;
+        }
+        let array = this.lookup(env);
+        const last = this.indices.length - 1;
+        for (let i = 0; i < last; i++) {
+            this.checkArray(array);
+            array = this.elementAt(array, yield* this.indices[i].evaluateSteps(runtime, env), this.indices[i]);
+        }
+        this.checkArray(array);
+        this.storeAt(array, yield* this.indices[last].evaluateSteps(runtime, env), this.indices[last], value);
+    }
 
+    lookup(env) {
         if (!(this.name in env)) {
-            throw new NanakoError(`知らない変数だよ！ '${this.name}'`, this.errorDetails());
+            throw new NanakoError(`知らない変数だよ！ '${this.name}'${scopeHint(env)}`, this.errorDetails());
         }
+        return env[this.name];
+    }
 
-        let array = env[this.name];
-        for (let i = 0; i < this.indices.length; i++) {
-            if (!(array instanceof NanakoArray)) {
-                throw new NanakoError(`配列ではありません: ❌${array}`, this.errorDetails());
+    checkArray(array) {
+        if (!(array instanceof NanakoArray)) {
+            throw new NanakoError(`配列ではありません: ❌${array}`, this.errorDetails());
+        }
+    }
+
+    elementAt(array, indexValue, index) {
+        if (typeof indexValue === 'number') {
+            const idx = Math.floor(indexValue);
+            if (0 <= idx && idx < array.elements.length) {
+                return array.elements[idx];
             }
-            const indexValue = this.indices[i].evaluate(runtime, env);
-            if (typeof indexValue === 'number') {
-                const idx = Math.floor(indexValue);
-                if (idx < 0 || idx >= array.elements.length) {
-                    break;
-                }
-                if (i === this.indices.length - 1) {
-                    array.elements[idx] = value;
-                    return;
-                }
-                array = array.elements[idx];
-            } else if (indexValue === null) {
-                if (i === this.indices.length - 1) {
-                    array.elements.push(value);
-                    return;
-                }
+        }
+        throw new NanakoError(`配列の添え字は0から${array.elements.length - 1}の間ですよ: ❌${indexValue}`, index.errorDetails());
+    }
+
+    storeAt(array, indexValue, index, value) {
+        if (typeof indexValue === 'number') {
+            const idx = Math.floor(indexValue);
+            if (0 <= idx && idx < array.elements.length) {
+                array.elements[idx] = value;
+                return;
             }
-            break;
+        } else if (indexValue === null) {
+            array.elements.push(value);
+            return;
         }
-        throw new NanakoError(`配列の添え字は0から${array.elements.length - 1}の間ですよ: ❌${indexValue}`, this.indices[0].errorDetails());
+        throw new NanakoError(`配列の添え字は0から${array.elements.length - 1}の間ですよ: ❌${indexValue}`, index.errorDetails());
     }
 
-    emit(lang = "js", indent = "") {
+    compile(compiler) {
+        const values = compiler.values;
+        const slot = compiler.slot(this.name);
+        const indices = (this.indices || []).map(index => [index, index.compile(compiler)]);
+        const lookup = () => {
+            const value = values[slot];
+            if (value === undefined) {
+                throw new NanakoError(`知らない変数だよ！ '${this.name}'`, this.errorDetails());
+            }
+            return value;
+        };
+        if (indices.length === 0) {
+            return lookup;
+        }
+        return () => {
+            let array = lookup();
+            for (const [index, closure] of indices) {
+                this.checkArray(array);
+                array = this.elementAt(array, closure(), index);
+            }
+            return array;
+        };
+    }
+
+    compileStore(compiler) {
+        // evaluateWith() と同じく、代入する値を受け取るクロージャを返す
+        const values = compiler.values;
+        const slot = compiler.slot(this.name);
         if (this.indices === null || this.indices.length === 0) {
-            return this.name;
+            return (value) => compiler.store(slot, value);
+        }
+        const parent = new VariableNode(this.name, this.indices.slice(0, -1));
+        Object.assign(parent, { source: this.source, pos: this.pos, endPos: this.endPos });
+        const array = parent.compile(compiler);
+        const last = this.indices[this.indices.length - 1];
+        const index = last.compile(compiler);
+        return (value) => {
+            const target = array();
+            this.checkArray(target);
+            this.storeAt(target, index(), last, value);
+        };
+    }
+
+    assemble(assembler) {
+        assembler.emit("LOAD", this.name, this);
+        for (const index of this.indices || []) {
+            assembler.emit("CHECK_ARRAY", null, this);
+            index.assemble(assembler);
+            assembler.emit("INDEX", index, this);
         }
-        const indices = [];
-        if (Array.isArray(this.indices)) {
-            for (const index of this.indices) {
-                indices.push(`[${index.emit(lang, indent)}]`);
+    }
+
+    assembleStore(assembler) {
+        // スタックの上の値を代入する（evaluateWith() と同じ順で添え字を計算する）
+        if (this.indices === null || this.indices.length === 0) {
+            assembler.emit("STORE", this.name, this);
+            return;
+        }
+        const last = this.indices.length - 1;
+        assembler.emit("LOAD", this.name, this);
+        for (let i = 0; i < last; i++) {
+            assembler.emit("CHECK_ARRAY", null, this);
+            this.indices[i].assemble(assembler);
+            assembler.emit("INDEX", this.indices[i], this);
+        }
+        assembler.emit("CHECK_ARRAY", null, this);
+        this.indices[last].assemble(assembler);
+        assembler.emit("STORE_INDEX", this.indices[last], this);
+    }
+
+    emit(lang = "js", indent = "") {
+        if (isNanako(lang)) {
+            const indices = [];
+            if (Array.isArray(this.indices)) {
+                for (const index of this.indices) {
+                    indices.push(`[${index.emit(lang, indent)}]`);
+                }
             }
+            return `${this.name}${indices.join('')}`;
+        }
+        let code = lang === "py" ? pyVariable(this.name) : jsVariable(this.name);
+        for (const index of this.indices || []) {
+            code = `nanako.at(${code}, ${index.emit(lang, indent)})`;
+        }
+        return code;
+    }
+
+    emitStore(lang, indent, value) {
+        // JavaScript と Python で value を代入する文
+        if (this.indices === null || this.indices.length === 0) {
+            return `${lang === "py" ? pyVariable(this.name) : jsVariable(this.name)} = ${value}`;
         }
-        const indicesStr = indices.join('');
-        return `${this.name}${indicesStr}`;
+        const last = this.indices.length - 1;
+        const array = new VariableNode(this.name, this.indices.slice(0, last)).emit(lang, indent);
+        return `nanako.put(${array}, ${this.indices[last].emit(lang, indent)}, ${value})`;
     }
 }
 
@@ -617,25 +2010,37 @@ class AssignmentNode extends StatementNode {
         runtime.updateVariable(this.variable.name, env, this.source, this.pos);
     }
 
+    *evaluateSteps(runtime, env) {
+        const value = yield* this.expression.evaluateSteps(runtime, env);
+        yield* this.variable.evaluateWithSteps(runtime, env, value);
+        runtime.updateVariable(this.variable.name, env, this.source, this.pos);
+    }
+
+    compile(compiler) {
+        const expression = this.expression.compile(compiler);
+        const store = this.variable.compileStore(compiler);
+        return () => {
+            store(expression());
+        };
+    }
+
+    assemble(assembler) {
+        this.expression.assemble(assembler);
+        this.variable.assembleStore(assembler);
+        assembler.emit("UPDATE", this.variable.name, this);
+    }
+
     emit(lang = "js", indent = "") {
         const variable = this.variable.emit(lang, indent);
         const expression = this.expression.emit(lang, indent);
-        if (variable.endsWith('[null]') || variable.endsWith('[None]')) {
-            if (lang === "py") {
-                return `${indent}${variable.slice(0, -6)}.append(${expression})`;
-            }
-            if (lang === "js") {
-                return `${indent}${variable.slice(0, -6)}.push(${expression})${this.semicolon(lang)}`;
-            }
+        if (lang === "nanako-verb" && !(this.expression instanceof FunctionNode)) {
+            return `${indent}${variable} を ${expression} とする`;
         }
-        if (this.expression instanceof FunctionNode) {
-            // Python function definition: def funcname(args): body
-            if (lang === "py") {
-                return `${indent}${expression}`;
-            }
-            return `${indent}${variable} = ${expression}\n`;
+        if (isNanako(lang)) {
+            return `${indent}${variable} = ${expression}`;
         }
-        return `${indent}${variable} = ${expression}${this.semicolon(lang)}`;
+        const code = `${indent}${this.variable.emitStore(lang, indent, expression)}${this.semicolon(lang)}`;
+        return this.expression instanceof FunctionNode ? `${code}\n` : code;
     }
 }
 
@@ -651,12 +2056,48 @@ class IncrementNode extends StatementNode {
             throw new NanakoError(`数じゃないよ: ❌${value}`, this.variable.errorDetails());
         }
         this.variable.evaluateWith(runtime, env, value + 1);
-        runtime.incrementCount += 1;
+        runtime.countIncrement(this);
+        runtime.updateVariable(this.variable.name, env, this.source, this.pos);
+    }
+
+    *evaluateSteps(runtime, env) {
+        const value = yield* this.variable.evaluateSteps(runtime, env);
+        if (typeof value !== 'number') {
+            throw new NanakoError(`数じゃないよ: ❌${value}`, this.variable.errorDetails());
+        }
+        yield* this.variable.evaluateWithSteps(runtime, env, value + 1);
+        runtime.countIncrement(this);
+        runtime.updateVariable(this.variable.name, env, this.source, this.pos);
+    }
+
+    compile(compiler) {
+        const runtime = compiler.runtime;
+        const variable = this.variable.compile(compiler);
+        const store = this.variable.compileStore(compiler);
+        return () => {
+            const value = variable();
+            if (typeof value !== 'number') {
+                throw new NanakoError(`数じゃないよ: ❌${value}`, this.variable.errorDetails());
+            }
+            store(value + 1);
+            runtime.countIncrement(this);
+        };
+    }
+
+    assemble(assembler) {
+        this.variable.assemble(assembler);
+        assembler.emit("INC", 1, this);
+        this.variable.assembleStore(assembler);
+        assembler.emit("COUNT", "increments", this);
+        assembler.emit("UPDATE", this.variable.name, this);
     }
 
     emit(lang = "js", indent = "") {
         const variable = this.variable.emit(lang, indent);
-        return `${indent}${variable} += 1${this.semicolon(lang)}`;
+        if (isNanako(lang)) {
+            return `${indent}${variable}を増やす`;
+        }
+        return `${indent}${this.variable.emitStore(lang, indent, `nanako.increment(${variable})`)}${this.semicolon(lang)}`;
     }
 }
 
@@ -672,12 +2113,48 @@ class DecrementNode extends StatementNode {
             throw new NanakoError(`数じゃないよ: ❌${value}`, this.variable.errorDetails());
         }
         this.variable.evaluateWith(runtime, env, value - 1);
-        runtime.decrementCount += 1;
+        runtime.countDecrement(this);
+        runtime.updateVariable(this.variable.name, env, this.source, this.pos);
+    }
+
+    *evaluateSteps(runtime, env) {
+        const value = yield* this.variable.evaluateSteps(runtime, env);
+        if (typeof value !== 'number') {
+            throw new NanakoError(`数じゃないよ: ❌${value}`, this.variable.errorDetails());
+        }
+        yield* this.variable.evaluateWithSteps(runtime, env, value - 1);
+        runtime.countDecrement(this);
+        runtime.updateVariable(this.variable.name, env, this.source, this.pos);
+    }
+
+    compile(compiler) {
+        const runtime = compiler.runtime;
+        const variable = this.variable.compile(compiler);
+        const store = this.variable.compileStore(compiler);
+        return () => {
+            const value = variable();
+            if (typeof value !== 'number') {
+                throw new NanakoError(`数じゃないよ: ❌${value}`, this.variable.errorDetails());
+            }
+            store(value - 1);
+            runtime.countDecrement(this);
+        };
+    }
+
+    assemble(assembler) {
+        this.variable.assemble(assembler);
+        assembler.emit("INC", -1, this);
+        this.variable.assembleStore(assembler);
+        assembler.emit("COUNT", "decrements", this);
+        assembler.emit("UPDATE", this.variable.name, this);
     }
 
     emit(lang = "js", indent = "") {
         const variable = this.variable.emit(lang, indent);
-        return `${indent}${variable} -= 1${this.semicolon(lang)}`;
+        if (isNanako(lang)) {
+            return `${indent}${variable}を減らす`;
+        }
+        return `${indent}${this.variable.emitStore(lang, indent, `nanako.decrement(${variable})`)}${this.semicolon(lang)}`;
     }
 }
 
@@ -690,26 +2167,64 @@ class AppendNode extends StatementNode {
 
     evaluate(runtime, env) {
         const array = this.variable.evaluate(runtime, env);
+        this.checkArray(array);
+        const value = this.expression.evaluate(runtime, env);
+        array.elements.push(value);
+        runtime.updateVariable(this.variable.name, env, this.source, this.pos);
+    }
+
+    *evaluateSteps(runtime, env) {
+        const array = yield* this.variable.evaluateSteps(runtime, env);
+        this.checkArray(array);
+        const value = yield* this.expression.evaluateSteps(runtime, env);
+        array.elements.push(value);
+        runtime.updateVariable(this.variable.name, env, this.source, this.pos);
+    }
+
+    checkArray(array) {
         if (!(array instanceof NanakoArray)) {
             throw new NanakoError(`配列じゃないね？ ❌${array}`, this.variable.errorDetails());
         }
-        const value = this.expression.evaluate(runtime, env);
-        array.elements.push(value);
+    }
+
+    compile(compiler) {
+        const variable = this.variable.compile(compiler);
+        const expression = this.expression.compile(compiler);
+        return () => {
+            const array = variable();
+            this.checkArray(array);
+            array.elements.push(expression());
+        };
+    }
+
+    assemble(assembler) {
+        this.variable.assemble(assembler);
+        assembler.emit("CHECK_ARRAY", null, this);
+        this.expression.assemble(assembler);
+        assembler.emit("APPEND", null, this);
+        assembler.emit("UPDATE", this.variable.name, this);
     }
 
     emit(lang = "js", indent = "") {
         const variable = this.variable.emit(lang, indent);
         const expression = this.expression.emit(lang, indent);
-        if (lang === "py") {
-            return `${indent}${variable}.append(${expression})`;
-        }
-        if (lang === "js") {
-            return `${indent}${variable}.push(${expression})${this.semicolon(lang)}`;
+        if (isNanako(lang)) {
+            return `${indent}${variable}の末尾に${expression}を追加する`;
         }
-        return `${indent}${variable}.append(${expression})`;
+        return `${indent}nanako.append(${variable}, ${expression})${this.semicolon(lang)}`;
     }
 }
 
+const COMPARE_OPERATORS = new Map([
+    ["以上", (a, b) => a >= b],
+    ["以下", (a, b) => a <= b],
+    ["より大きい", (a, b) => a > b],
+    ["より小さい", (a, b) => a < b],
+    ["以外", (a, b) => a !== b],
+    ["未満", (a, b) => a < b],
+    ["", (a, b) => a === b]
+]);
+
 class IfNode extends StatementNode {
     constructor(left, operator, right, thenBlock, elseBlock = null) {
         super();
@@ -723,33 +2238,74 @@ class IfNode extends StatementNode {
     evaluate(runtime, env) {
         const leftValue = this.left.evaluate(runtime, env);
         const rightValue = this.right.evaluate(runtime, env);
-        let result;
-        if (this.operator === "以上") {
-            result = leftValue >= rightValue;
-        } else if (this.operator === "以下") {
-            result = leftValue <= rightValue;
-        } else if (this.operator === "より大きい") {
-            result = leftValue > rightValue;
-        } else if (this.operator === "より小さい") {
-            result = leftValue < rightValue;
-        } else if (this.operator === "以外") {
-            result = leftValue !== rightValue;
-        } else if (this.operator === "未満") {
-            result = leftValue < rightValue;
-        } else {
-            result = leftValue === rightValue;
-        }
-        runtime.compareCount += 1;
-        if (result) {
+        if (this.compare(runtime, leftValue, rightValue)) {
             this.thenBlock.evaluate(runtime, env);
         } else if (this.elseBlock) {
             this.elseBlock.evaluate(runtime, env);
         }
     }
 
+    *evaluateSteps(runtime, env) {
+        const leftValue = yield* this.left.evaluateSteps(runtime, env);
+        const rightValue = yield* this.right.evaluateSteps(runtime, env);
+        if (this.compare(runtime, leftValue, rightValue)) {
+            yield* this.thenBlock.evaluateSteps(runtime, env);
+        } else if (this.elseBlock) {
+            yield* this.elseBlock.evaluateSteps(runtime, env);
+        }
+    }
+
+    compare(runtime, leftValue, rightValue) {
+        const result = COMPARE_OPERATORS.get(this.operator)(leftValue, rightValue);
+        runtime.countCompare(this);
+        return result;
+    }
+
+    compile(compiler) {
+        const runtime = compiler.runtime;
+        const left = this.left.compile(compiler);
+        const right = this.right.compile(compiler);
+        const test = COMPARE_OPERATORS.get(this.operator);
+        const thenBlock = this.thenBlock.compile(compiler);
+        const elseBlock = this.elseBlock ? this.elseBlock.compile(compiler) : null;
+        return () => {
+            const leftValue = left();
+            const result = test(leftValue, right());
+            runtime.countCompare(this);
+            if (result) {
+                return thenBlock();
+            }
+            return elseBlock === null ? undefined : elseBlock();
+        };
+    }
+
+    assemble(assembler) {
+        this.left.assemble(assembler);
+        this.right.assemble(assembler);
+        assembler.emit("COMPARE", this.operator, this);
+        const jump = assembler.emit("JUMP_IF_FALSE", null, this);
+        this.thenBlock.assemble(assembler);
+        if (this.elseBlock) {
+            const end = assembler.emit("JUMP", null, this);
+            assembler.patch(jump);
+            this.elseBlock.assemble(assembler);
+            assembler.patch(end);
+        } else {
+            assembler.patch(jump);
+        }
+    }
+
     emit(lang = "js", indent = "") {
         const left = this.left.emit(lang, indent);
         const right = this.right.emit(lang, indent);
+        if (isNanako(lang)) {
+            const operator = this.operator === "" ? "" : ` ${this.operator}`;
+            const lines = [`${indent}もし ${left} が ${right}${operator}ならば、{`, this.thenBlock.emit(lang, indent)];
+            if (this.elseBlock) {
+                lines.push(`${indent}そうでなければ、{`, this.elseBlock.emit(lang, indent));
+            }
+            return lines.join("\n");
+        }
         let op;
         if (this.operator === "以上") {
             op = ">=";
@@ -760,17 +2316,18 @@ class IfNode extends StatementNode {
         } else if (this.operator === "より小さい") {
             op = "<";
         } else if (this.operator === "以外") {
-            op = "!=";
+            op = lang === "js" ? "!==" : "!=";
         } else if (this.operator === "未満") {
             op = "<";
         } else {
-            op = "==";
+            op = lang === "js" ? "===" : "==";
         }
         const lines = [];
         if (lang === "py") {
-            lines.push(`${indent}if ${left} ${op} ${right}:`);
+            // 数でないもののくらべ方を JavaScript と同じにするため、演算子は nanako.compare() に渡す
+            lines.push(`${indent}if nanako.compare(${left}, "${op}", ${right}):`);
         } else {
-            lines.push(`${indent}if(${left} ${op} ${right}) {`);
+            lines.push(`${indent}if (nanako.compare(${left} ${op} ${right})) {`);
         }
         lines.push(this.thenBlock.emit(lang, indent));
         if (this.elseBlock) {
@@ -827,21 +2384,98 @@ class LoopNode extends StatementNode {
         }
     }
 
+    *evaluateSteps(runtime, env) {
+        const loopCount = yield* this.count.evaluateSteps(runtime, env);
+        const details = errorDetails(this.source, this.pos);
+        if (Array.isArray(loopCount)) {
+            throw new NanakoError(`配列の長さでは？`, details);
+        }
+        if (loopCount !== null && loopCount < 0) {
+            throw new NanakoError(`負のループ回数: ${loopCount}`, details);
+        }
+        try {
+            for (let i = 0; loopCount === null || i < Math.floor(loopCount); i++) {
+                runtime.checkExecution(details);
+                yield* this.body.evaluateSteps(runtime, env);
+            }
+        } catch (e) {
+            if (e instanceof BreakBreakException) {
+                return;
+            }
+            throw e;
+        }
+    }
+
+    compile(compiler) {
+        const runtime = compiler.runtime;
+        const count = this.count.compile(compiler);
+        const body = this.body.compile(compiler);
+        const details = errorDetails(this.source, this.pos);
+        const repeat = (times) => {
+            try {
+                for (let i = 0; i < times; i++) {
+                    runtime.checkExecution(details);
+                    const signal = body();
+                    if (signal === BREAK_SIGNAL) {
+                        return undefined;
+                    }
+                    if (signal !== undefined) {
+                        return signal;
+                    }
+                }
+            } catch (e) {
+                // 呼び出した関数の中の くり返しを抜ける
+                if (e instanceof BreakBreakException) {
+                    return undefined;
+                }
+                throw e;
+            }
+            return undefined;
+        };
+        return () => {
+            const loopCount = count();
+            if (loopCount === null) {
+                return repeat(Infinity);
+            }
+            if (Array.isArray(loopCount)) {
+                throw new NanakoError(`配列の長さでは？`, details);
+            }
+            if (loopCount < 0) {
+                throw new NanakoError(`負のループ回数: ${loopCount}`, details);
+            }
+            return repeat(Math.floor(loopCount));
+        };
+    }
+
+    assemble(assembler) {
+        // LOOP で回数を調べ、NEXT でくり返すたびに数える（くり返しを抜けると LOOP の先へ飛ぶ）
+        this.count.assemble(assembler);
+        const loop = assembler.emit("LOOP", null, this);
+        const next = assembler.emit("NEXT", null, this);
+        this.body.assemble(assembler);
+        assembler.emit("JUMP", next, this);
+        assembler.patch(loop);
+        assembler.patch(next);
+    }
+
     emit(lang = "js", indent = "") {
         const lines = [];
-        if (this.count instanceof NullNode) {
+        if (isNanako(lang)) {
+            lines.push(`${indent}${this.count.emit(lang, indent)}回、くり返す {`);
+        } else if (this.count instanceof NullNode) {
             if (lang === "py") {
                 lines.push(`${indent}while True:`);
             } else {
-                lines.push(`${indent}while(true) {`);
+                lines.push(`${indent}while (true) {`);
             }
         } else {
             const count = this.count.emit(lang, indent);
             if (lang === "py") {
-                lines.push(`${indent}for _ in range(${count}):`);
+                lines.push(`${indent}for _ in nanako.loop(${count}):`);
             } else {
-                const i = `i${Math.floor(indent.length / 4)}`;
-                lines.push(`${indent}for(var ${i} = 0; ${i} < ${count}; ${i}++) {`);
+                const depth = Math.floor(indent.length / 4);
+                const [i, n] = [`i${depth}`, `n${depth}`];
+                lines.push(`${indent}for (let ${i} = 0, ${n} = nanako.times(${count}); ${i} < ${n}; ${i}++) {`);
             }
         }
 
@@ -859,7 +2493,18 @@ class BreakNode extends StatementNode {
         throw new BreakBreakException();
     }
 
+    compile(compiler) {
+        return () => BREAK_SIGNAL;
+    }
+
+    assemble(assembler) {
+        assembler.emit("BREAK", null, this);
+    }
+
     emit(lang = "js", indent = "") {
+        if (isNanako(lang)) {
+            return `${indent}くり返しを抜ける`;
+        }
         return `${indent}break${this.semicolon(lang)}`;
     }
 }
@@ -875,7 +2520,25 @@ class ReturnNode extends StatementNode {
         throw new ReturnBreakException(value);
     }
 
+    *evaluateSteps(runtime, env) {
+        const value = yield* this.expression.evaluateSteps(runtime, env);
+        throw new ReturnBreakException(value);
+    }
+
+    compile(compiler) {
+        const expression = this.expression.compile(compiler);
+        return () => ({ value: expression() });
+    }
+
+    assemble(assembler) {
+        this.expression.assemble(assembler);
+        assembler.emit("RETURN", null, this);
+    }
+
     emit(lang = "js", indent = "") {
+        if (isNanako(lang)) {
+            return `${indent}${this.expression.emit(lang, indent)}が答え`;
+        }
         return `${indent}return ${this.expression.emit(lang, indent)}${this.semicolon(lang)}`;
     }
 }
@@ -893,8 +2556,35 @@ class ExpressionStatementNode extends StatementNode {
         return value;
     }
 
+    *evaluateSteps(runtime, env) {
+        const value = yield* this.expression.evaluateSteps(runtime, env);
+        const e = this.expression;
+        runtime.print(value, e.source, e.pos, e.endPos);
+        return value;
+    }
+
+    compile(compiler) {
+        const runtime = compiler.runtime;
+        const expression = this.expression.compile(compiler);
+        const e = this.expression;
+        return () => {
+            runtime.print(expression(), e.source, e.pos, e.endPos);
+        };
+    }
+
+    assemble(assembler) {
+        this.expression.assemble(assembler);
+        assembler.emit("PRINT", null, this);
+    }
+
     emit(lang = "js", indent = "") {
-        return `${indent}${this.expression.emit(lang, indent)}${this.semicolon(lang)}`;
+        if (isNanako(lang)) {
+            return `${indent}${this.expression.emit(lang, indent)}`;
+        }
+        // NanakoRuntime.print() と同じ形で表示する
+        const details = this.expression.errorDetails();
+        const code = JSON.stringify(details.lineText.trim());
+        return `${indent}nanako.print(${this.expression.emit(lang, indent)}, ${details.line}, ${code})${this.semicolon(lang)}`;
     }
 }
 
@@ -908,33 +2598,469 @@ class TestNode extends StatementNode {
     evaluate(runtime, env) {
         const value = this.expression.evaluate(runtime, env);
         const answerValue = this.answer.evaluate(runtime, env);
-        if (value !== answerValue) {
+        if (!this.passed(value, answerValue)) {
+            throw new NanakoError(`テストに失敗: ${value}`, this.errorDetails());
+        }
+    }
+
+    *evaluateSteps(runtime, env) {
+        const value = yield* this.expression.evaluateSteps(runtime, env);
+        const answerValue = yield* this.answer.evaluateSteps(runtime, env);
+        if (!this.passed(value, answerValue)) {
             throw new NanakoError(`テストに失敗: ${value}`, this.errorDetails());
         }
     }
 
+    passed(value, answerValue) {
+        // 配列と文字列は中身をくらべる
+        if (value instanceof NanakoArray) {
+            return value.equals(answerValue);
+        }
+        return value === answerValue;
+    }
+
+    compile(compiler) {
+        const expression = this.expression.compile(compiler);
+        const answer = this.answer.compile(compiler);
+        return () => {
+            const value = expression();
+            if (!this.passed(value, answer())) {
+                throw new NanakoError(`テストに失敗: ${value}`, this.errorDetails());
+            }
+        };
+    }
+
+    assemble(assembler) {
+        this.expression.assemble(assembler);
+        this.answer.assemble(assembler);
+        assembler.emit("TEST", null, this);
+    }
+
     emit(lang = "js", indent = "") {
         const expression = this.expression.emit(lang, indent);
         const answer = this.answer.emit(lang, indent);
-        if (lang === "js") {
-            return `${indent}console.assert(${expression} == ${answer})${this.semicolon(lang)}`;
+        if (isNanako(lang)) {
+            return `${indent}>>> ${expression}\n${indent}${answer}`;
+        }
+        return `${indent}nanako.test(${expression}, ${answer})${this.semicolon(lang)}`;
+    }
+}
+
+// AST の JSON 形式
+// 型名ごとに、コンストラクタの引数の順のフィールドと、あとから設定するフィールドを並べる
+const AST_SCHEMA_VERSION = 1;
+
+const AST_FIELDS = new Map([
+    [ProgramNode, [["statements"], []]],
+    [BlockNode, [["statements"], []]],
+    [NullNode, [[], []]],
+    [NumberNode, [["value"], []]],
+    [LenNode, [["element"], []]],
+    [MinusNode, [["element"], []]],
+    [ArrayNode, [["elements"], []]],
+    [StringNode, [["value"], []]],
+    [FunctionNode, [["parameters", "body"], ["name"]]],
+    [FuncCallNode, [["name", "arguments"], []]],
+    [VariableNode, [["name", "indices"], []]],
+    [AssignmentNode, [["variable", "expression"], []]],
+    [IncrementNode, [["variable"], []]],
+    [DecrementNode, [["variable"], []]],
+    [AppendNode, [["variable", "expression"], []]],
+    [IfNode, [["left", "operator", "right", "thenBlock", "elseBlock"], []]],
+    [LoopNode, [["count", "body"], []]],
+    [BreakNode, [[], []]],
+    [ReturnNode, [["expression"], []]],
+    [ExpressionStatementNode, [["expression"], []]],
+    [TestNode, [["expression", "answer"], []]]
+]);
+
+function expressionFunctions(node, functions = []) {
+    // 文の式の中にある関数を、ソースに出てくる順に集める（ブロックの中は含めない）
+    if (node instanceof FunctionNode) {
+        functions.push(node);
+    } else if (node instanceof ASTNode && !(node instanceof BlockNode)) {
+        for (const field of AST_FIELDS.get(node.constructor)[0]) {
+            expressionFunctions(node[field], functions);
+        }
+    } else if (Array.isArray(node)) {
+        for (const element of node) {
+            expressionFunctions(element, functions);
+        }
+    }
+    return functions;
+}
+
+function childBlocks(node, blocks = []) {
+    // 式の中の関数の本体も含めて、ソースに出てくる順にブロックを集める
+    if (node instanceof BlockNode) {
+        blocks.push(node);
+    } else if (node instanceof ASTNode) {
+        for (const field of AST_FIELDS.get(node.constructor)[0]) {
+            childBlocks(node[field], blocks);
+        }
+    } else if (Array.isArray(node)) {
+        for (const element of node) {
+            childBlocks(element, blocks);
+        }
+    }
+    return blocks;
+}
+
+// 文に付くコメントと空行（NanakoParser.attachTrivia を参照）
+const AST_TRIVIA = ["leadingTrivia", "trailingComment", "endTrivia"];
+
+const AST_TYPES = new Map([...AST_FIELDS.keys()].map(nodeClass => [nodeClass.name.replace(/Node$/, ""), nodeClass]));
+
+function astToJSON(value, lineStarts) {
+    if (value instanceof ASTNode) {
+        const [args, extras] = AST_FIELDS.get(value.constructor);
+        const json = { type: value.constructor.name.replace(/Node$/, "") };
+        if (value instanceof ProgramNode) {
+            json.schemaVersion = AST_SCHEMA_VERSION;
+            json.source = value.source;
+        }
+        for (const field of args.concat(extras)) {
+            json[field] = astToJSON(value[field], lineStarts);
+        }
+        for (const field of AST_TRIVIA) {
+            // コメントと空行は、あるときだけ書き出す
+            if (value[field] && value[field].length > 0) {
+                json[field] = value[field];
+            }
+        }
+        if (value.source) {
+            json.range = astRange(value, lineStarts);
+        }
+        return json;
+    }
+    if (value instanceof NanakoArray) {
+        // StringNode の値
+        return traceValue(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(element => astToJSON(element, lineStarts));
+    }
+    return value === undefined ? null : value;
+}
+
+function astRange(node, lineStarts) {
+    // 行の先頭位置をソースごとに一度だけ求め、行・列(1始まり)に変換する
+    let starts = lineStarts.get(node.source);
+    if (starts === undefined) {
+        starts = [0];
+        for (let i = 0; i < node.source.length; i++) {
+            if (node.source[i] === '\n') {
+                starts.push(i + 1);
+            }
+        }
+        lineStarts.set(node.source, starts);
+    }
+    const position = (pos) => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (starts[mid] <= pos) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { line: low + 1, col: pos - starts[low] + 1 };
+    };
+    return { pos: node.pos, endPos: node.endPos, start: position(node.pos), end: position(node.endPos) };
+}
+
+function astFromJSON(json, source) {
+    if (Array.isArray(json)) {
+        return json.map(element => astFromJSON(element, source));
+    }
+    if (json === null || typeof json !== 'object') {
+        return json;
+    }
+    const nodeClass = AST_TYPES.get(json.type);
+    if (nodeClass === undefined) {
+        throw new NanakoError(`AST の型 '${json.type}' がわかりません`, null);
+    }
+    const [args, extras] = AST_FIELDS.get(nodeClass);
+    const node = new nodeClass(...args.map(field => astFromJSON(json[field], source)));
+    for (const field of extras) {
+        node[field] = json[field];
+    }
+    for (const field of AST_TRIVIA) {
+        if (json[field] !== undefined) {
+            node[field] = json[field];
+        }
+    }
+    if (json.range) {
+        node.source = source;
+        node.pos = json.range.pos;
+        node.endPos = json.range.endPos;
+    }
+    return node;
+}
+
+// 授業のレベル（使える書き方を段階的に増やす）
+// compareWithZero: もし の比較は 0 とだけ、arrays: 配列と文字列、recursion: 再帰呼び出し
+const NANAKO_LEVELS = new Map([
+    [1, { name: "レベル1", description: "0との比較だけ・配列なし・再帰なし", compareWithZero: true, arrays: false, recursion: false }],
+    [2, { name: "レベル2", description: "配列が使える", compareWithZero: true, arrays: true, recursion: false }],
+    [3, { name: "レベル3", description: "再帰が使える", compareWithZero: true, arrays: true, recursion: true }]
+]);
+
+function nanakoLevel(level) {
+    // レベルの番号か、フラグのオブジェクト（書いていないものは制限なし）を受け取る。null は制限なし
+    if (level === null || level === undefined || level === 0) {
+        return null;
+    }
+    if (typeof level === "object") {
+        return { name: "カスタム", description: "", compareWithZero: false, arrays: true, recursion: true, ...level };
+    }
+    if (!NANAKO_LEVELS.has(Number(level))) {
+        throw new NanakoError(`レベル ${level} はありません（1〜${NANAKO_LEVELS.size}）`, null);
+    }
+    return NANAKO_LEVELS.get(Number(level));
+}
+
+function levelViolations(program, level) {
+    // レベルで使えない書き方を { node, message } の一覧にして、ソースに出てくる順に返す
+    const violations = [];
+    const calls = new Map(); // 関数の名前 -> 本体で呼び出す FuncCallNode
+    const isZero = node => node instanceof NumberNode && node.value === 0;
+    const visit = (node, func) => {
+        if (Array.isArray(node)) {
+            for (const element of node) {
+                visit(element, func);
+            }
+            return;
+        }
+        if (!(node instanceof ASTNode)) {
+            return;
+        }
+        if (node instanceof IfNode && level.compareWithZero && !isZero(node.left) && !isZero(node.right)) {
+            violations.push({ node: node.right, message: "このレベルでは0との比較だけ" });
+        }
+        if (!level.arrays && (node instanceof ArrayNode || node instanceof StringNode || node instanceof AppendNode ||
+                (node instanceof VariableNode && hasIndices(node)))) {
+            violations.push({ node, message: "このレベルでは配列は使えません" });
+        }
+        if (node instanceof FuncCallNode && func !== null) {
+            calls.get(func).push(node);
+        }
+        if (node instanceof FunctionNode) {
+            func = node.name;
+            if (!calls.has(func)) {
+                calls.set(func, []);
+            }
+        }
+        for (const field of AST_FIELDS.get(node.constructor)[0]) {
+            visit(node[field], func);
+        }
+    };
+    visit(program.statements, null);
+
+    if (!level.recursion) {
+        const reaches = (name, target, visited = new Set()) => {
+            if (name === target) {
+                return true;
+            }
+            if (visited.has(name) || !calls.has(name)) {
+                return false;
+            }
+            visited.add(name);
+            return calls.get(name).some(call => reaches(call.name, target, visited));
+        };
+        for (const [name, funcCalls] of calls) {
+            for (const call of funcCalls) {
+                if (call.name === name) {
+                    violations.push({ node: call, message: `このレベルでは再帰は使えません: '${name}' が自分を呼び出しています` });
+                } else if (reaches(call.name, name)) {
+                    violations.push({ node: call, message: `このレベルでは再帰は使えません: '${call.name}' から '${name}' が呼び出されます` });
+                }
+            }
         }
-        return `${indent}assert (${expression} == ${answer})${this.semicolon(lang)}`;
     }
+    return violations.sort((a, b) => a.node.pos - b.node.pos);
 }
 
 class NanakoParser {
-    constructor() {
+    constructor(options = {}) {
+        this.level = nanakoLevel(options.level); // 授業のレベル（NANAKO_LEVELS を参照）。null は制限なし
         this.text = "";
         this.pos = 0;
         this.length = 0;
+        this.diagnostics = null; // parseWithRecovery() のときだけエラーをためる
+        this.comments = null; // 位置 -> コメント（パースし直しても同じコメントは一度だけ）
     }
 
     parse(text) {
         this.text = this.normalize(text);
         this.pos = 0;
         this.length = this.text.length;
-        return this.parseProgram();
+        this.comments = new Map();
+        const program = this.parseProgram();
+        program.source = this.text;
+        program.endPos = this.length;
+        this.attachTrivia(program);
+        if (this.level !== null) {
+            this.checkLevel(program);
+        }
+        return program;
+    }
+
+    checkLevel(program) {
+        // parseWithRecovery() のときは、使えない書き方をすべてエラーの一覧に入れる
+        for (const { node, message } of levelViolations(program, this.level)) {
+            const details = this.errorDetails(node.pos);
+            if (this.diagnostics === null) {
+                throw new NanakoError(message, details);
+            }
+            const end = this.errorDetails(node.endPos);
+            this.diagnostics.push({
+                message,
+                line: details.line,
+                col: details.col,
+                pos: details.pos,
+                endCol: end.line === details.line ? end.col : details.lineText.length + 1
+            });
+        }
+    }
+
+    recordComment(pos) {
+        if (this.comments === null || this.comments.has(pos)) {
+            return;
+        }
+        const eol = this.text.indexOf("\n", pos);
+        const text = this.text.slice(pos + 1, eol === -1 ? this.length : eol).trimEnd();
+        this.comments.set(pos, "#" + text);
+    }
+
+    attachTrivia(program) {
+        // コメントと空行を、すぐ後ろの文（行末のコメントはその行の文）に付ける
+        const trivia = [...this.comments].map(([pos, text]) => ({ pos, text }));
+        const blankLine = /^[ \t　\r]*$/gm;
+        let match;
+        while ((match = blankLine.exec(this.text)) !== null) {
+            if (match.index < this.length) {
+                trivia.push({ pos: match.index, text: "" });
+            }
+            blankLine.lastIndex++;
+        }
+        trivia.sort((a, b) => a.pos - b.pos);
+
+        let next = 0;
+        const take = (limit, first) => {
+            const lines = [];
+            while (next < trivia.length && trivia[next].pos < limit) {
+                const text = trivia[next++].text;
+                // 空行は続けてもひとつにし、ブロックの始めの空行は消す
+                if (text !== "" || (lines.length > 0 ? lines[lines.length - 1] !== "" : !first)) {
+                    lines.push(text);
+                }
+            }
+            return lines;
+        };
+        const attach = (statements, endPos) => {
+            statements.forEach((statement, i) => {
+                statement.leadingTrivia = take(statement.pos, i === 0);
+                const eol = this.text.indexOf("\n", statement.pos);
+                if (next < trivia.length && trivia[next].text !== "" && trivia[next].pos < (eol === -1 ? this.length : eol)) {
+                    statement.trailingComment = trivia[next++].text;
+                }
+                for (const block of childBlocks(statement)) {
+                    block.endTrivia = attach(block.statements, block.endPos);
+                }
+            });
+            const lines = take(endPos, statements.length === 0);
+            // ブロックの終わりの空行も消す
+            while (lines.length > 0 && lines[lines.length - 1] === "") {
+                lines.pop();
+            }
+            return lines;
+        };
+        program.endTrivia = attach(program.statements, Infinity);
+    }
+
+    parseWithRecovery(text) {
+        // エラーがあっても次の行から読み直し、読めたところまでのプログラムとエラーの一覧を返す
+        this.diagnostics = [];
+        try {
+            const program = this.parse(text);
+            // 閉じ } がないエラーはブロックを読み終えてから見つかるので、ソースの順に並べなおす
+            return { program, diagnostics: this.diagnostics.sort((a, b) => a.pos - b.pos) };
+        } finally {
+            this.diagnostics = null;
+        }
+    }
+
+    parseStatementOrRecover() {
+        if (this.diagnostics === null) {
+            return this.parseStatement();
+        }
+        const startPos = this.pos;
+        try {
+            return this.parseStatement();
+        } catch (e) {
+            if (!(e instanceof NanakoError)) {
+                throw e;
+            }
+            this.report(e);
+            this.skipStatement(startPos);
+            return null;
+        }
+    }
+
+    report(error) {
+        // 閉じ } がないと外側のブロックでも同じエラーになるので、一度だけ報告する
+        const last = this.diagnostics[this.diagnostics.length - 1];
+        if (last && this.pos >= this.length && last.message === error.message) {
+            return;
+        }
+        const details = error.details || this.errorDetails(this.pos);
+        this.diagnostics.push({
+            message: error.message,
+            line: details.line,
+            col: details.col,
+            pos: details.pos,
+            endCol: details.lineText.length + 1
+        });
+    }
+
+    skipStatement(startPos) {
+        // 文の始めから次の行まで読み飛ばす（{ } の中はまとめて飛ばし、外側の閉じ } の手前では止まる）
+        this.pos = startPos;
+        let depth = 0;
+        let inString = false;
+        while (this.pos < this.length) {
+            const c = this.text[this.pos];
+            if (c === '\n') {
+                inString = false;
+                if (depth === 0) {
+                    this.pos++;
+                    return;
+                }
+            } else if (inString) {
+                inString = c !== '"';
+            } else if (c === '"') {
+                inString = true;
+            } else if (c === '#' || c === '＃') {
+                while (this.pos + 1 < this.length && this.text[this.pos + 1] !== '\n') {
+                    this.pos++;
+                }
+            } else if (c === '{' || c === '｛') {
+                depth++;
+            } else if (c === '}' || c === '｝') {
+                if (depth === 0) {
+                    break;
+                }
+                depth--;
+            }
+            this.pos++;
+        }
+        if (this.pos === startPos) {
+            // トップレベルの余分な } は読み捨てる
+            this.pos++;
+        }
     }
 
     normalize(text) {
@@ -953,7 +3079,7 @@ class NanakoParser {
         const statements = [];
         this.consumeWhitespace(true);
         while (this.pos < this.length) {
-            const stmt = this.parseStatement();
+            const stmt = this.parseStatementOrRecover();
             if (stmt) {
                 statements.push(stmt);
             }
@@ -1503,6 +3629,7 @@ class NanakoParser {
 
     parseVariable(definitionContext = false) {
         // 変数をパース
+        const savedPos = this.pos;
         const name = this.parseIdentifier(definitionContext);
         if (name === null) {
             return null;
@@ -1519,10 +3646,11 @@ class NanakoParser {
             }
         }
 
-        if (indices.length === 0) {
-            return new VariableNode(name, null);
-        }
-        return new VariableNode(name, indices);
+        const variable = new VariableNode(name, indices.length === 0 ? null : indices);
+        variable.source = this.text;
+        variable.pos = savedPos;
+        variable.endPos = this.pos;
+        return variable;
     }
 
     parseBlock() {
@@ -1550,6 +3678,10 @@ class NanakoParser {
         
         if (!isSingleLine) {
             // Multi-line block: skip to end of line and handle indentation
+            const comment = this.text.slice(this.pos, tempPos).search(/[#＃]/);
+            if (comment !== -1) {
+                this.recordComment(this.pos + comment);
+            }
             this.consumeUntilEol();
         }
         
@@ -1563,7 +3695,7 @@ class NanakoParser {
                 foundClosingBrace = true;
                 break;
             }
-            const stmt = this.parseStatement();
+            const stmt = this.parseStatementOrRecover();
             if (stmt) {
                 statements.push(stmt);
             }
@@ -1573,7 +3705,11 @@ class NanakoParser {
             throw new NanakoError("閉じ `}`を忘れないで", this.errorDetails(savedPos));
         }
 
-        return new BlockNode(statements);
+        const block = new BlockNode(statements);
+        block.source = this.text;
+        block.pos = savedPos;
+        block.endPos = this.pos;
+        return block;
     }
 
     parseIdentifier(definitionContext = false) {
@@ -1682,6 +3818,7 @@ class NanakoParser {
         let c = 0;
         while (this.pos < this.length) {
             if (this.text[this.pos] === '#' || this.text[this.pos] === '＃') {
+                this.recordComment(this.pos);
                 this.pos++;
                 this.consumeUntilEol();
             } else if (WS.includes(this.text[this.pos])) {
@@ -1721,16 +3858,1811 @@ class NanakoParser {
     }
 }
 
+// 整形（ソースを決まった書き方に直す）
+const FORMAT_STYLES = new Map([
+    ["symbol", "nanako"],     // x = 10
+    ["verb", "nanako-verb"]   // x を 10 とする
+]);
+
+function formatNanako(code, options = {}) {
+    const style = options.style || "symbol";
+    if (!FORMAT_STYLES.has(style)) {
+        throw new NanakoError(`整形のスタイル '${style}' がわかりません`, null);
+    }
+    const program = new NanakoParser().parse(code);
+    const text = program.emit(FORMAT_STYLES.get(style), "");
+    return text === "" ? "" : text + "\n";
+}
+
+// 実行トレース（実行した文と変数の変化を記録して、あとから再生する）
+class NanakoTrace {
+    constructor(limit = 100000) {
+        this.limit = limit;
+        this.records = [];
+        this.truncated = false;
+        this.current = null;
+        this.counts = null;
+        this.writes = []; // 代入の途中で関数を呼ぶと入れ子になるので、スタックで待つ
+    }
+
+    enter(runtime, statement, env) {
+        this.finishRecord(runtime);
+        const writes = statement instanceof AssignmentNode || statement instanceof IncrementNode ||
+            statement instanceof DecrementNode || statement instanceof AppendNode;
+        if (this.records.length >= this.limit) {
+            this.truncated = true;
+            if (writes) {
+                this.writes.push(null);
+            }
+            return;
+        }
+        const details = statement.errorDetails();
+        const depth = runtime.callFrames.length;
+        const record = {
+            step: this.records.length,
+            line: details.line,
+            code: details.lineText.trim(),
+            depth: depth,
+            funcName: depth > 0 ? runtime.callFrames[depth - 1].funcName : null,
+            variable: null,
+            oldValue: null,
+            newValue: null,
+            writtenAt: null,
+            increments: 0,
+            decrements: 0,
+            compares: 0
+        };
+        if (writes) {
+            const name = statement.variable.name;
+            record.variable = name;
+            record.oldValue = name in env ? traceValue(env[name]) : null;
+            this.writes.push(record);
+        }
+        this.records.push(record);
+        this.current = record;
+        this.counts = [runtime.incrementCount, runtime.decrementCount, runtime.compareCount];
+    }
+
+    write(name, env) {
+        const record = this.writes.pop();
+        if (record) {
+            record.newValue = traceValue(env[name]);
+            record.writtenAt = this.records.length - 1;
+        }
+    }
+
+    finishRecord(runtime) {
+        // 次の文に入るまでの回数を、その文の回数とする
+        if (this.current !== null) {
+            this.current.increments = runtime.incrementCount - this.counts[0];
+            this.current.decrements = runtime.decrementCount - this.counts[1];
+            this.current.compares = runtime.compareCount - this.counts[2];
+            this.current = null;
+        }
+    }
+
+    stateAt(step) {
+        // step 番目の文を実行し終えたときの変数（関数の中の変数も同じ名前なら上書きする）
+        const writes = this.records.filter(record => record.writtenAt !== null && record.writtenAt <= step);
+        writes.sort((a, b) => a.writtenAt - b.writtenAt);
+        const variables = {};
+        for (const record of writes) {
+            variables[record.variable] = record.newValue;
+        }
+        return variables;
+    }
+
+    toJSON() {
+        return {
+            version: NANAKO_VERSION,
+            truncated: this.truncated,
+            records: this.records
+        };
+    }
+
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        const trace = new NanakoTrace();
+        trace.records = data.records || [];
+        trace.truncated = !!data.truncated;
+        return trace;
+    }
+}
+
+// 行ごと・関数ごとの回数を数えるプロファイラ
+const PROFILE_MAIN = "(メイン)";
+
+class NanakoProfiler {
+    constructor() {
+        this.lines = new Map(); // line -> {line, code, statements, increments, decrements, compares}
+        this.functions = new Map(); // name -> {name, calls, exclusive: {...}, inclusive: {...}}
+        this.functionEntry(PROFILE_MAIN).calls = 1;
+    }
+
+    static emptyCounts() {
+        return { statements: 0, increments: 0, decrements: 0, compares: 0 };
+    }
+
+    functionEntry(name) {
+        let entry = this.functions.get(name);
+        if (entry === undefined) {
+            entry = { name, calls: 0, exclusive: NanakoProfiler.emptyCounts(), inclusive: NanakoProfiler.emptyCounts() };
+            this.functions.set(name, entry);
+        }
+        return entry;
+    }
+
+    call(funcName) {
+        this.functionEntry(funcName).calls += 1;
+    }
+
+    count(kind, node, callFrames) {
+        const line = node.lineNumber();
+        let lineEntry = this.lines.get(line);
+        if (lineEntry === undefined) {
+            lineEntry = { line, code: node.errorDetails().lineText.trim(), ...NanakoProfiler.emptyCounts() };
+            this.lines.set(line, lineEntry);
+        }
+        lineEntry[kind] += 1;
+
+        // 自身はいちばん内側の関数、合計は呼び出し中の関数すべて（再帰は一度だけ数える）
+        const depth = callFrames.length;
+        const inner = depth > 0 ? callFrames[depth - 1].funcName : PROFILE_MAIN;
+        this.functionEntry(inner).exclusive[kind] += 1;
+        const counted = new Set([PROFILE_MAIN]);
+        this.functionEntry(PROFILE_MAIN).inclusive[kind] += 1;
+        for (const frame of callFrames) {
+            if (!counted.has(frame.funcName)) {
+                counted.add(frame.funcName);
+                this.functionEntry(frame.funcName).inclusive[kind] += 1;
+            }
+        }
+    }
+
+    lineTable() {
+        return [...this.lines.values()].sort((a, b) => a.line - b.line);
+    }
+
+    functionTable() {
+        // 合計の操作回数が多い順
+        const total = (entry) => entry.inclusive.increments + entry.inclusive.decrements + entry.inclusive.compares;
+        return [...this.functions.values()].sort((a, b) => total(b) - total(a) || b.inclusive.statements - a.inclusive.statements);
+    }
+
+    toJSON() {
+        return {
+            lines: this.lineTable(),
+            functions: this.functionTable()
+        };
+    }
+
+    static fromJSON(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        const profiler = new NanakoProfiler();
+        profiler.lines = new Map(data.lines.map(entry => [entry.line, entry]));
+        profiler.functions = new Map(data.functions.map(entry => [entry.name, entry]));
+        return profiler;
+    }
+
+    format() {
+        const rows = [["関数", "呼び出し", "文(自身/合計)", "増やす(自身/合計)", "減らす(自身/合計)", "比較(自身/合計)"]];
+        for (const entry of this.functionTable()) {
+            const pair = (kind) => `${entry.exclusive[kind]}/${entry.inclusive[kind]}`;
+            rows.push([entry.name, `${entry.calls}`, pair('statements'), pair('increments'), pair('decrements'), pair('compares')]);
+        }
+        const lines = ["=== 関数ごとの回数 ==="].concat(formatTable(rows));
+        const lineRows = [["行", "文", "増やす", "減らす", "比較", "コード"]];
+        for (const entry of this.lineTable()) {
+            lineRows.push([`${entry.line}`, `${entry.statements}`, `${entry.increments}`, `${entry.decrements}`, `${entry.compares}`, entry.code]);
+        }
+        lines.push("", "=== 行ごとの回数 ===");
+        return lines.concat(formatTable(lineRows)).join("\n");
+    }
+}
+
+function formatTable(rows) {
+    // 全角文字は2桁として列をそろえる
+    const width = (text) => [...text].reduce((n, c) => n + (c.charCodeAt(0) > 0xff ? 2 : 1), 0);
+    const widths = rows[0].map((header, i) => Math.max(...rows.map(row => width(row[i]))));
+    return rows.map(row => row.map((cell, i) => {
+        if (i === row.length - 1) {
+            return cell;
+        }
+        return cell + " ".repeat(widths[i] - width(cell));
+    }).join("  "));
+}
+
+// 計算量の実験（入力の大きさを変えて関数を実行し、回数の増え方を調べる）
+const GROWTH_MODELS = [
+    { name: "O(n)", scale: n => n },
+    { name: "O(n log n)", scale: n => n * Math.log2(Math.max(n, 1)) },
+    { name: "O(n²)", scale: n => n * n }
+];
+
+const EXPERIMENT_INPUT = "実験の入力";
+
+class NanakoExperiment {
+    constructor(code, funcName) {
+        const parser = new NanakoParser();
+        const program = parser.parse(code);
+        const runtime = new NanakoRuntime();
+        runtime.print = function() {};
+        this.env = {};
+        runtime.start(30);
+        new NanakoCompiler(runtime).run(program, this.env);
+        const func = this.env[funcName];
+        if (!(func instanceof FunctionNode)) {
+            throw new NanakoError(`関数 '${funcName}' が見つかりません`, null);
+        }
+        if (func.parameters.length !== 1) {
+            throw new NanakoError(`関数 '${funcName}' は入力が1つの関数にしてください`, null);
+        }
+        this.funcName = funcName;
+    }
+
+    static generateInput(n, order = "random", random = null) {
+        // sorted: 1..n, reversed: n..1, random: 0..n-1 の値をランダムに並べる
+        const elements = [];
+        for (let i = 0; i < n; i++) {
+            if (order === "sorted") {
+                elements.push(i + 1);
+            } else if (order === "reversed") {
+                elements.push(n - i);
+            } else {
+                elements.push(random() % Math.max(n, 1));
+            }
+        }
+        return new NanakoArray(elements);
+    }
+
+    static seededRandom(seed) {
+        // 毎回同じ結果になるように線形合同法を使う
+        let state = seed >>> 0;
+        return () => {
+            state = (Math.imul(1103515245, state) + 12345) >>> 0;
+            return (state >>> 16) & 0x7fff;
+        };
+    }
+
+    runOnce(input, timeout = 10) {
+        const runtime = new NanakoRuntime();
+        runtime.print = function() {};
+        const call = new FuncCallNode(this.funcName, [new VariableNode(EXPERIMENT_INPUT)]);
+        const env = { ...this.env, [EXPERIMENT_INPUT]: input };
+        runtime.start(timeout);
+        new NanakoCompiler(runtime).run(call, env);
+        return {
+            n: input.elements.length,
+            increments: runtime.incrementCount,
+            decrements: runtime.decrementCount,
+            compares: runtime.compareCount,
+            total: runtime.incrementCount + runtime.decrementCount + runtime.compareCount,
+            statements: runtime.statementCount,
+            calls: runtime.callCount
+        };
+    }
+
+    run(sizes, options = {}) {
+        const order = options.order || "random";
+        const counter = options.counter || "total";
+        const random = NanakoExperiment.seededRandom(options.seed === undefined ? 1 : options.seed);
+        const results = [];
+        for (const n of sizes) {
+            const input = NanakoExperiment.generateInput(n, order, random);
+            results.push(this.runOnce(input, options.timeout));
+            if (options.onProgress) {
+                options.onProgress(results[results.length - 1]);
+            }
+        }
+        const fits = fitGrowth(results.map(result => [result.n, result[counter]]));
+        return { funcName: this.funcName, order, counter, results, fits, best: fits[0].model };
+    }
+}
+
+function fitGrowth(points) {
+    // y = a * f(n) + b を最小二乗法で当てはめ、決定係数 r2 が大きい順に返す
+    const fits = GROWTH_MODELS.map(model => {
+        const xs = points.map(([n]) => model.scale(n));
+        const ys = points.map(([, y]) => y);
+        const count = points.length;
+        const meanX = xs.reduce((a, b) => a + b, 0) / count;
+        const meanY = ys.reduce((a, b) => a + b, 0) / count;
+        let sxx = 0;
+        let sxy = 0;
+        let syy = 0;
+        for (let i = 0; i < count; i++) {
+            sxx += (xs[i] - meanX) * (xs[i] - meanX);
+            sxy += (xs[i] - meanX) * (ys[i] - meanY);
+            syy += (ys[i] - meanY) * (ys[i] - meanY);
+        }
+        const a = sxx === 0 ? 0 : sxy / sxx;
+        const b = meanY - a * meanX;
+        let residual = 0;
+        for (let i = 0; i < count; i++) {
+            residual += (ys[i] - (a * xs[i] + b)) ** 2;
+        }
+        const r2 = syy === 0 ? 1 : 1 - residual / syy;
+        return { model: model.name, a, b, r2 };
+    });
+    return fits.sort((x, y) => y.r2 - x.r2);
+}
+
+// 静的チェック（実行しないで、よくある間違いを見つける）
+// 診断は NanakoParser.parseWithRecovery() と同じ形に、規則の名前 rule・重さ severity・終わりの位置を足したもの
+class NanakoLinter {
+    constructor(options = {}) {
+        // scoping は NanakoRuntime.scoping と同じ。globals は実行する前から env にある変数（CSV や JSON のデータ）
+        this.scoping = options.scoping || "dynamic";
+        this.globals = options.globals || [];
+        this.diagnostics = [];
+        this.lineStarts = new Map();
+    }
+
+    lint(program) {
+        this.diagnostics = [];
+        this.arities = new Map(); // 関数の名前 -> 引数の数（関数でないものを代入する名前は null）
+        this.everywhere = new Set(); // どこかで代入する名前と引数
+        this.freeReads = new Set(); // 関数の中で、その関数の変数でない名前を読んだもの
+        this.functions = [];
+        for (const name of this.globals) {
+            this.declare(name, null);
+        }
+        this.declarations(program);
+
+        const names = new Set(this.globals);
+        for (const statement of program.statements) {
+            assignedNames(statement, names);
+        }
+        const scope = { parent: null, func: null, defined: new Set(this.globals), names, reads: new Set(), loops: 0 };
+        this.block(program.statements, scope);
+
+        for (const inner of this.functions) {
+            for (const parameter of inner.func.parameters) {
+                // 動的スコープでは、呼び出した関数の中で読むこともある
+                if (!inner.reads.has(parameter) && !(this.scoping === "dynamic" && this.freeReads.has(parameter))) {
+                    this.report("unused-parameter", "warning", parameterRange(inner.func, parameter),
+                        `引数 '${parameter}' は使われていません`);
+                }
+            }
+        }
+        return this.diagnostics.sort((a, b) => a.pos - b.pos);
+    }
+
+    declare(name, arity) {
+        this.everywhere.add(name);
+        this.arities.set(name, this.arities.has(name) && this.arities.get(name) !== arity ? null : arity);
+    }
+
+    declarations(node) {
+        // 関数の本体の中も含めて、代入する名前・引数と、関数の引数の数を集める
+        if (Array.isArray(node)) {
+            for (const element of node) {
+                this.declarations(element);
+            }
+            return;
+        }
+        if (!(node instanceof ASTNode)) {
+            return;
+        }
+        if (node instanceof FunctionNode) {
+            for (const parameter of node.parameters) {
+                this.declare(parameter, null);
+            }
+        } else if ((node instanceof AssignmentNode || node instanceof IncrementNode || node instanceof DecrementNode) && !hasIndices(node.variable)) {
+            const func = node instanceof AssignmentNode && node.expression instanceof FunctionNode;
+            this.declare(node.variable.name, func ? node.expression.parameters.length : null);
+        }
+        for (const field of AST_FIELDS.get(node.constructor)[0]) {
+            this.declarations(node[field]);
+        }
+    }
+
+    block(statements, scope) {
+        // 実行されない文は、ブロックの終わりまでをまとめて一度だけ報告する
+        let exit = null;
+        let reported = false;
+        for (const statement of statements) {
+            if (exit !== null && !reported) {
+                const last = statements[statements.length - 1];
+                this.report("unreachable", "warning", { source: statement.source, pos: statement.pos, endPos: last.endPos },
+                    `「${exit}」のあとの文は実行されません`);
+                reported = true;
+            }
+            this.statement(statement, scope);
+            if (exit === null) {
+                exit = exitKeyword(statement);
+            }
+        }
+    }
+
+    statement(node, scope) {
+        if (node instanceof AssignmentNode) {
+            this.expression(node.expression, scope);
+            if (hasIndices(node.variable)) {
+                this.read(node.variable, scope);
+            } else {
+                this.assign(node.variable, scope);
+            }
+        } else if (node instanceof IncrementNode || node instanceof DecrementNode) {
+            this.read(node.variable, scope);
+        } else if (node instanceof AppendNode) {
+            this.read(node.variable, scope);
+            this.expression(node.expression, scope);
+        } else if (node instanceof IfNode) {
+            this.expression(node.left, scope);
+            this.expression(node.right, scope);
+            this.block(node.thenBlock.statements, scope);
+            if (node.elseBlock) {
+                this.block(node.elseBlock.statements, scope);
+            }
+        } else if (node instanceof LoopNode) {
+            this.expression(node.count, scope);
+            scope.loops++;
+            this.block(node.body.statements, scope);
+            scope.loops--;
+        } else if (node instanceof BreakNode) {
+            if (scope.loops > 0) {
+                return;
+            }
+            if (scope.func === null) {
+                this.report("break-outside-loop", "error", node, "くり返しの外では、くり返しを抜けることはできません");
+            } else {
+                this.report("break-outside-loop", "warning", node, "関数の中のくり返しの外なので、呼び出した側のくり返しを抜けます");
+            }
+        } else if (node instanceof ReturnNode || node instanceof ExpressionStatementNode) {
+            this.expression(node.expression, scope);
+        } else if (node instanceof TestNode) {
+            this.expression(node.expression, scope);
+            this.expression(node.answer, scope);
+        }
+    }
+
+    expression(node, scope) {
+        if (node instanceof VariableNode) {
+            this.read(node, scope);
+        } else if (node instanceof FuncCallNode) {
+            this.reference(node.name, node, scope, `関数 '${node.name}' は、使う前に定義されていません`);
+            const arity = this.arities.get(node.name);
+            if (typeof arity === "number" && arity !== node.arguments.length) {
+                this.report("wrong-arity", "error", node,
+                    `関数 '${node.name}' の引数は${arity}個ですが、${node.arguments.length}個で呼び出しています`);
+            }
+            for (const argument of node.arguments) {
+                this.expression(argument, scope);
+            }
+        } else if (node instanceof FunctionNode) {
+            this.func(node, scope);
+        } else if (node instanceof LenNode || node instanceof MinusNode) {
+            this.expression(node.element, scope);
+        } else if (node instanceof ArrayNode) {
+            for (const element of node.elements) {
+                this.expression(element, scope);
+            }
+        }
+    }
+
+    func(node, scope) {
+        const names = assignedNames(node.body, new Set(node.parameters));
+        const inner = { parent: scope, func: node, defined: new Set(node.parameters), names, reads: new Set(), loops: 0 };
+        for (const parameter of node.parameters) {
+            if (this.outer(parameter, inner)) {
+                this.report("shadowed-name", "warning", parameterRange(node, parameter),
+                    `引数 '${parameter}' は、外側の変数と同じ名前です`);
+            }
+        }
+        this.block(node.body.statements, inner);
+        this.functions.push(inner);
+    }
+
+    read(variable, scope) {
+        this.reference(variable.name, variable, scope, `変数 '${variable.name}' は、使う前に代入されていません`);
+        for (const index of variable.indices || []) {
+            this.expression(index, scope);
+        }
+    }
+
+    assign(variable, scope) {
+        const name = variable.name;
+        if (scope.func !== null && !scope.defined.has(name) && this.outer(name, scope)) {
+            this.report("shadowed-name", "warning", variable,
+                `関数の中で '${name}' に代入すると、外側の '${name}' とは別の変数になります`);
+        }
+        scope.defined.add(name);
+    }
+
+    reference(name, node, scope, message) {
+        // 引数が使われているかを調べるため、名前を定義した関数まで「読んだ」ことにする
+        for (let s = scope; s !== null; s = s.parent) {
+            s.reads.add(name);
+            if (s.names.has(name)) {
+                break;
+            }
+        }
+        if (scope.func !== null && !scope.names.has(name)) {
+            this.freeReads.add(name);
+        }
+        if (scope.defined.has(name) || this.outer(name, scope)) {
+            return;
+        }
+        // 動的スコープでは、関数の中から呼び出した側の変数も見える
+        if (this.scoping === "dynamic" && scope.func !== null && this.everywhere.has(name)) {
+            return;
+        }
+        this.report("undefined-variable", "error", node, message);
+        scope.defined.add(name); // 同じ名前は一度だけ報告する
+    }
+
+    outer(name, scope) {
+        // 外側（関数を定義したところ）の変数は、関数を呼ぶまでに代入されていればよい
+        for (let s = scope.parent; s !== null; s = s.parent) {
+            if (s.names.has(name)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    report(rule, severity, node, message) {
+        this.diagnostics.push(diagnosticAt(rule, severity, node, message, this.lineStarts));
+    }
+}
+
+function diagnosticAt(rule, severity, node, message, lineStarts) {
+    const range = astRange(node, lineStarts);
+    return {
+        rule,
+        severity,
+        message,
+        line: range.start.line,
+        col: range.start.col,
+        pos: range.pos,
+        endLine: range.end.line,
+        endCol: range.end.col,
+        endPos: range.endPos
+    };
+}
+
+function parameterRange(func, parameter) {
+    // 引数の名前は文字列なので、関数の見出し（入力 a, b に対し）の中から探す
+    let pos = func.source.startsWith("入力", func.pos) ? func.pos + 2 : func.pos;
+    for (const name of func.parameters) {
+        const found = func.source.indexOf(name, pos);
+        if (found === -1 || found >= func.body.pos) {
+            return func;
+        }
+        if (name === parameter) {
+            return { source: func.source, pos: found, endPos: found + name.length };
+        }
+        pos = found + name.length;
+    }
+    return func;
+}
+
+function hasIndices(variable) {
+    return variable.indices !== null && variable.indices.length > 0;
+}
+
+function exitKeyword(statement) {
+    // 文のあとに進まない（答えを返す・くり返しを抜ける）ときは、その書き方を返す
+    if (statement instanceof ReturnNode) {
+        return "が答え";
+    }
+    if (statement instanceof BreakNode) {
+        return "くり返しを抜ける";
+    }
+    if (statement instanceof IfNode && statement.elseBlock) {
+        const exits = [statement.thenBlock, statement.elseBlock].map(block => {
+            const keywords = block.statements.map(exitKeyword).filter(keyword => keyword !== null);
+            return keywords.length > 0 ? keywords[0] : null;
+        });
+        if (exits[0] !== null && exits[1] !== null) {
+            return exits[0];
+        }
+    }
+    return null;
+}
+
+// 型推論（実行しないで、値が 数・配列・文字列・関数・? のどれになるかを調べ、使い方の間違いを見つける）
+// 型は { kind, ... } のオブジェクト。まだわからない型は { kind: "var", type: null } にしておき、
+// 使い方からわかったときに type を決める（単一化）。わからないままの型は「不明」で、間違いとしない
+const NUMBER_TYPE = { kind: "number" };
+const NULL_TYPE = { kind: "null" };
+const STRING_TYPE = { kind: "string" };
+const UNKNOWN_TYPE = { kind: "unknown" };
+
+function typeVariable() {
+    return { kind: "var", type: null };
+}
+
+function arrayType(element) {
+    return { kind: "array", element };
+}
+
+function functionType(parameters, result) {
+    return { kind: "function", parameters, result };
+}
+
+function resolveType(type) {
+    while (type.kind === "var" && type.type !== null) {
+        type = type.type;
+    }
+    return type;
+}
+
+function formatType(type) {
+    type = resolveType(type);
+    switch (type.kind) {
+        case "number":
+            return "数";
+        case "null":
+            return "?";
+        case "string":
+            return "文字列";
+        case "array": {
+            const element = resolveType(type.element);
+            return element.kind === "var" || element.kind === "unknown" ? "配列" : `[${formatType(element)}]`;
+        }
+        case "function":
+            return `関数(${type.parameters.map(formatType).join(", ")}) → ${formatType(type.result)}`;
+        default:
+            return "不明";
+    }
+}
+
+function occursIn(variable, type) {
+    type = resolveType(type);
+    if (type === variable) {
+        return true;
+    }
+    if (type.kind === "array") {
+        return occursIn(variable, type.element);
+    }
+    if (type.kind === "function") {
+        return type.parameters.some(parameter => occursIn(variable, parameter)) || occursIn(variable, type.result);
+    }
+    return false;
+}
+
+function unifyTypes(a, b) {
+    // 同じ型にできれば true を返す（わからない型は、もう一方の型に決める）
+    a = resolveType(a);
+    b = resolveType(b);
+    if (a === b || a.kind === "unknown" || b.kind === "unknown") {
+        return true;
+    }
+    if (a.kind === "var" || b.kind === "var") {
+        const [variable, type] = a.kind === "var" ? [a, b] : [b, a];
+        if (!occursIn(variable, type)) {
+            variable.type = type;
+        }
+        return true;
+    }
+    if (a.kind === "string" || b.kind === "string") {
+        // 文字列は文字コード（数）の配列
+        const other = a.kind === "string" ? b : a;
+        return other.kind === "string" || (other.kind === "array" && unifyTypes(other.element, NUMBER_TYPE));
+    }
+    if (a.kind !== b.kind) {
+        return false;
+    }
+    if (a.kind === "array") {
+        return unifyTypes(a.element, b.element);
+    }
+    if (a.kind === "function") {
+        return a.parameters.length === b.parameters.length &&
+            a.parameters.every((parameter, i) => unifyTypes(parameter, b.parameters[i])) &&
+            unifyTypes(a.result, b.result);
+    }
+    return true;
+}
+
+function sameType(a, b) {
+    a = resolveType(a);
+    b = resolveType(b);
+    if (a === b) {
+        return true;
+    }
+    if (a.kind !== b.kind || a.kind === "var" || a.kind === "unknown") {
+        return false;
+    }
+    if (a.kind === "array") {
+        return sameType(a.element, b.element);
+    }
+    if (a.kind === "function") {
+        return a.parameters.length === b.parameters.length &&
+            a.parameters.every((parameter, i) => sameType(parameter, b.parameters[i])) &&
+            sameType(a.result, b.result);
+    }
+    return true;
+}
+
+function instantiateType(type, variables = new Map()) {
+    // 呼び出すたびに、関数の型のわからない部分を新しい型変数にする（呼び出しごとにちがう型で使える）
+    type = resolveType(type);
+    if (type.kind === "var") {
+        if (!variables.has(type)) {
+            variables.set(type, typeVariable());
+        }
+        return variables.get(type);
+    }
+    if (type.kind === "array") {
+        return arrayType(instantiateType(type.element, variables));
+    }
+    if (type.kind === "function") {
+        return functionType(type.parameters.map(parameter => instantiateType(parameter, variables)), instantiateType(type.result, variables));
+    }
+    return type;
+}
+
+class NanakoTypeChecker {
+    constructor(options = {}) {
+        // globals は実行する前から env にある変数（型は不明とする）
+        this.globals = options.globals || [];
+        this.diagnostics = [];
+        this.hovers = [];
+        this.lineStarts = new Map();
+        this.quiet = 0;
+    }
+
+    check(program) {
+        this.diagnostics = [];
+        this.hovers = [];
+        this.inferring = []; // 推論している途中の関数の型（再帰の呼び出しでは、型変数をそのまま使う）
+        const env = new Map(this.globals.map(name => [name, UNKNOWN_TYPE]));
+        this.block(program.statements, env, null);
+        return this.diagnostics.sort((a, b) => a.pos - b.pos);
+    }
+
+    typeAt(pos) {
+        // pos にある変数・関数の名前と型（いちばん狭い範囲のもの）。型は推論が終わってから表示する
+        let found = null;
+        for (const hover of this.hovers) {
+            if (hover.pos <= pos && pos < hover.endPos && (found === null || hover.endPos - hover.pos <= found.endPos - found.pos)) {
+                found = hover;
+            }
+        }
+        if (found === null) {
+            return null;
+        }
+        const range = astRange(found, this.lineStarts);
+        return {
+            name: found.name,
+            type: formatType(found.type),
+            line: range.start.line,
+            col: range.start.col,
+            endLine: range.end.line,
+            endCol: range.end.col
+        };
+    }
+
+    block(statements, env, func) {
+        for (const statement of statements) {
+            this.statement(statement, env, func);
+        }
+    }
+
+    statement(node, env, func) {
+        if (node instanceof AssignmentNode) {
+            const name = node.variable.name;
+            const type = node.expression instanceof FunctionNode ?
+                this.func(node.expression, env, name) : this.expression(node.expression, env, func);
+            if (hasIndices(node.variable)) {
+                this.store(node.variable, type, env, func);
+            } else {
+                env.set(name, type);
+                this.hover(node.variable, name, type);
+            }
+        } else if (node instanceof IncrementNode || node instanceof DecrementNode) {
+            const type = this.expression(node.variable, env, func);
+            if (!unifyTypes(type, NUMBER_TYPE)) {
+                this.mismatch(node.variable, `数じゃないよ: ${this.describe(node.variable, type)}`);
+            }
+        } else if (node instanceof AppendNode) {
+            const type = this.expression(node.variable, env, func);
+            const element = this.elementType(type);
+            const value = this.expression(node.expression, env, func);
+            if (element === null) {
+                this.mismatch(node.variable, `配列じゃないね？ ${this.describe(node.variable, type)}`);
+            } else if (resolveType(element).kind === "var") {
+                unifyTypes(element, value);
+            }
+        } else if (node instanceof IfNode) {
+            this.expression(node.left, env, func);
+            this.expression(node.right, env, func);
+            const thenEnv = new Map(env);
+            this.block(node.thenBlock.statements, thenEnv, func);
+            const elseEnv = new Map(env);
+            if (node.elseBlock) {
+                this.block(node.elseBlock.statements, elseEnv, func);
+            }
+            replaceEnv(env, mergeEnv(thenEnv, elseEnv));
+        } else if (node instanceof LoopNode) {
+            this.loop(node, env, func);
+        } else if (node instanceof ReturnNode) {
+            const type = this.expression(node.expression, env, func);
+            if (func !== null) {
+                func.returns.push(type);
+            }
+        } else if (node instanceof ExpressionStatementNode) {
+            this.expression(node.expression, env, func);
+        } else if (node instanceof TestNode) {
+            this.expression(node.expression, env, func);
+            this.expression(node.answer, env, func);
+        }
+    }
+
+    loop(node, env, func) {
+        const count = resolveType(this.expression(node.count, env, func));
+        if (count.kind === "var") {
+            unifyTypes(count, NUMBER_TYPE);
+        } else if (!["number", "null", "unknown"].includes(count.kind)) {
+            this.mismatch(node.count, `くり返す回数が数ではありません: ${this.describe(node.count, count)}`, "warning");
+        }
+        // 2 回目からは、本体で代入した型で始まるので、一度だまって調べてから、合わせた型で調べ直す
+        const first = new Map(env);
+        this.quiet++;
+        this.block(node.body.statements, first, func);
+        this.quiet--;
+        const merged = mergeEnv(env, first);
+        const body = new Map(merged);
+        this.block(node.body.statements, body, func);
+        replaceEnv(env, mergeEnv(merged, body));
+    }
+
+    expression(node, env, func) {
+        if (node instanceof NumberNode) {
+            return NUMBER_TYPE;
+        }
+        if (node instanceof NullNode) {
+            return NULL_TYPE;
+        }
+        if (node instanceof StringNode) {
+            return STRING_TYPE;
+        }
+        if (node instanceof ArrayNode) {
+            const elements = node.elements.map(element => this.expression(element, env, func));
+            if (elements.length === 0) {
+                return arrayType(typeVariable());
+            }
+            // 型のちがう要素がまざった配列は、要素の型を不明とする
+            return arrayType(elements.every(element => sameType(element, elements[0])) ? elements[0] : UNKNOWN_TYPE);
+        }
+        if (node instanceof LenNode) {
+            const type = this.expression(node.element, env, func);
+            if (this.elementType(type) === null) {
+                this.mismatch(node.element, `配列じゃないね？ ${this.describe(node.element, type)}`);
+            }
+            return NUMBER_TYPE;
+        }
+        if (node instanceof MinusNode) {
+            const type = this.expression(node.element, env, func);
+            if (!unifyTypes(type, NUMBER_TYPE)) {
+                this.mismatch(node.element, `数ではないよ: ${this.describe(node.element, type)}`);
+            }
+            return NUMBER_TYPE;
+        }
+        if (node instanceof VariableNode) {
+            let type = this.variable(node, env);
+            for (const index of node.indices || []) {
+                type = this.index(node, type, index, env, func, false);
+            }
+            return type;
+        }
+        if (node instanceof FuncCallNode) {
+            return this.call(node, env, func);
+        }
+        if (node instanceof FunctionNode) {
+            return this.func(node, env, null);
+        }
+        return UNKNOWN_TYPE;
+    }
+
+    variable(node, env) {
+        const type = env.has(node.name) ? env.get(node.name) : UNKNOWN_TYPE;
+        this.hover(node, node.name, type);
+        return type;
+    }
+
+    index(node, type, index, env, func, store) {
+        // 要素の型を返す。A[?] = x は末尾への追加なので、代入のときは ? も添え字にできる
+        const element = this.elementType(type);
+        if (element === null) {
+            this.mismatch(node, `配列ではありません: ${this.describe(node, type)}`);
+        }
+        const indexType = resolveType(this.expression(index, env, func));
+        if (!(store && indexType.kind === "null") && !unifyTypes(indexType, NUMBER_TYPE)) {
+            this.mismatch(index, `添え字が数ではありません: ${this.describe(index, indexType)}`);
+        }
+        return element === null ? UNKNOWN_TYPE : element;
+    }
+
+    store(variable, value, env, func) {
+        let type = this.variable(variable, env);
+        const last = variable.indices.length - 1;
+        variable.indices.forEach((index, i) => {
+            type = this.index(variable, type, index, env, func, i === last);
+        });
+        if (resolveType(type).kind === "var") {
+            unifyTypes(type, value);
+        }
+    }
+
+    elementType(type) {
+        // 配列・文字列の要素の型（配列でなければ null）。わからない型は配列に決める
+        type = resolveType(type);
+        if (type.kind === "string") {
+            return NUMBER_TYPE;
+        }
+        if (type.kind === "array") {
+            return type.element;
+        }
+        if (type.kind === "var") {
+            const element = typeVariable();
+            unifyTypes(type, arrayType(element));
+            return element;
+        }
+        return type.kind === "unknown" ? UNKNOWN_TYPE : null;
+    }
+
+    call(node, env, func) {
+        const args = node.arguments.map(argument => this.expression(argument, env, func));
+        let callee = resolveType(env.has(node.name) ? env.get(node.name) : UNKNOWN_TYPE);
+        this.hover({ source: node.source, pos: node.pos, endPos: node.pos + node.name.length }, node.name, callee);
+        if (callee.kind === "var") {
+            unifyTypes(callee, functionType(args.map(() => typeVariable()), typeVariable()));
+            callee = resolveType(callee);
+        }
+        if (callee.kind === "unknown") {
+            return UNKNOWN_TYPE;
+        }
+        if (callee.kind !== "function") {
+            this.mismatch(node, `関数じゃないよ: '${node.name}' は ${formatType(callee)} です`);
+            return UNKNOWN_TYPE;
+        }
+        if (!this.inferring.includes(callee)) {
+            callee = instantiateType(callee);
+        }
+        if (callee.parameters.length !== args.length) {
+            // 引数の数の間違いは NanakoLinter が報告する
+            return callee.result;
+        }
+        args.forEach((arg, i) => {
+            const expected = callee.parameters[i];
+            if (!unifyTypes(arg, expected)) {
+                this.mismatch(node.arguments[i],
+                    `関数 '${node.name}' の${i + 1}番目の引数は ${formatType(expected)} ですが、${formatType(arg)} を渡しています`);
+            }
+        });
+        return callee.result;
+    }
+
+    func(node, env, name) {
+        // 関数の中から見える外側の変数は、呼び出したときの値なので、関数の型のほかは不明とする
+        const type = functionType(node.parameters.map(() => typeVariable()), typeVariable());
+        const inner = new Map();
+        for (const [outer, outerType] of env) {
+            inner.set(outer, resolveType(outerType).kind === "function" ? outerType : UNKNOWN_TYPE);
+        }
+        if (name !== null) {
+            inner.set(name, type);
+        }
+        node.parameters.forEach((parameter, i) => {
+            inner.set(parameter, type.parameters[i]);
+            this.hover(parameterRange(node, parameter), parameter, type.parameters[i]);
+        });
+        const context = { returns: [] };
+        this.inferring.push(type);
+        this.block(node.body.statements, inner, context);
+        this.inferring.pop();
+        if (!node.body.statements.some(statement => exitKeyword(statement) !== null)) {
+            // 最後まで答えがなければ ? になる
+            context.returns.push(NULL_TYPE);
+        }
+        unifyTypes(type.result, joinTypes(context.returns.filter(result => result !== type.result)));
+        return type;
+    }
+
+    describe(node, type) {
+        const text = formatType(type);
+        if (node instanceof VariableNode && !hasIndices(node)) {
+            return `'${node.name}' は ${text} です`;
+        }
+        return `${text} です`;
+    }
+
+    hover(node, name, type) {
+        if (this.quiet === 0 && node.source !== undefined) {
+            this.hovers.push({ source: node.source, pos: node.pos, endPos: node.pos + name.length, name, type });
+        }
+    }
+
+    mismatch(node, message, severity = "error") {
+        if (this.quiet === 0) {
+            this.diagnostics.push(diagnosticAt("type-mismatch", severity, node, message, this.lineStarts));
+        }
+    }
+}
+
+function joinTypes(types) {
+    // 答えの型をまとめる（ちがう型があれば不明。わからない引数の型を、答えの型に決めてしまわないようにする）
+    if (types.length === 0) {
+        return typeVariable();
+    }
+    return types.every(type => sameType(type, types[0])) ? types[0] : UNKNOWN_TYPE;
+}
+
+function mergeEnv(a, b) {
+    // もし・くり返すのあとで、どちらを通ったかで型がちがう変数は不明とする
+    const merged = new Map(a);
+    for (const [name, type] of b) {
+        if (!merged.has(name) || sameType(merged.get(name), type)) {
+            merged.set(name, type);
+        } else {
+            merged.set(name, UNKNOWN_TYPE);
+        }
+    }
+    return merged;
+}
+
+function replaceEnv(env, other) {
+    env.clear();
+    for (const [name, type] of other) {
+        env.set(name, type);
+    }
+}
+
+// エディタの入力補完（その場所で使える変数・関数の名前と、キーワードのひな形）と、
+// 関数の ( の中を書いているときの引数の説明。insertText はスニペットの書き方（$1 などにカーソルが移る）
+const NANAKO_SNIPPETS = [
+    { label: "もし", detail: "もし … が … ならば、{ }", insertText: "もし ${1:x} が ${2:0}ならば、{\n\t$0\n}" },
+    { label: "もし（そうでなければ）", detail: "もし … が … ならば、{ } そうでなければ、{ }", insertText: "もし ${1:x} が ${2:0}ならば、{\n\t$3\n}\nそうでなければ、{\n\t$0\n}" },
+    { label: "くり返す", detail: "N回、くり返す { }", insertText: "${1:N}回、くり返す {\n\t$0\n}" },
+    { label: "入力", detail: "入力 X, Y に対し { }", insertText: "入力 ${1:X}, ${2:Y} に対し {\n\t$0\n}" }
+];
+
+function completionScope(text, pos) {
+    // pos から見える名前を、内側の関数の引数・変数から順に { name, kind, parameters } で返す
+    // 書きかけの行で構文エラーになるときは、その行を空白にして（位置は変えずに）読み直す
+    const parsed = new NanakoParser().parseWithRecovery(text);
+    let program = parsed.program;
+    if (parsed.diagnostics.length > 0) {
+        const lineStart = text.lastIndexOf("\n", pos - 1) + 1;
+        const lineEnd = text.indexOf("\n", pos) === -1 ? text.length : text.indexOf("\n", pos);
+        const blanked = text.slice(0, lineStart) + " ".repeat(lineEnd - lineStart) + text.slice(lineEnd);
+        program = new NanakoParser().parseWithRecovery(blanked).program;
+    }
+    const symbols = new Map();
+    for (const func of enclosingFunctions(program, pos).reverse()) {
+        for (const parameter of func.parameters) {
+            addSymbol(symbols, parameter, null, "parameter");
+        }
+        collectSymbols(func.body.statements, symbols);
+    }
+    collectSymbols(program.statements, symbols);
+    return [...symbols.values()];
+}
+
+function enclosingFunctions(node, pos, functions = []) {
+    // 本体の中に pos がある関数を、外側から順に集める
+    if (node instanceof FunctionNode && node.body.pos < pos && pos < node.body.endPos) {
+        functions.push(node);
+    }
+    if (node instanceof ASTNode) {
+        for (const field of AST_FIELDS.get(node.constructor)[0]) {
+            enclosingFunctions(node[field], pos, functions);
+        }
+    } else if (Array.isArray(node)) {
+        for (const element of node) {
+            enclosingFunctions(element, pos, functions);
+        }
+    }
+    return functions;
+}
+
+function collectSymbols(statements, symbols) {
+    // 代入した名前を集める。関数を代入した名前は、引数も覚えておく
+    for (const statement of statements) {
+        if (statement instanceof AssignmentNode && !hasIndices(statement.variable)) {
+            const func = statement.expression instanceof FunctionNode ? statement.expression : null;
+            addSymbol(symbols, statement.variable.name, func, func ? "function" : "variable");
+        } else if (statement instanceof IncrementNode || statement instanceof DecrementNode) {
+            if (!hasIndices(statement.variable)) {
+                addSymbol(symbols, statement.variable.name, null, "variable");
+            }
+        } else if (statement instanceof IfNode) {
+            collectSymbols(statement.thenBlock.statements, symbols);
+            if (statement.elseBlock) {
+                collectSymbols(statement.elseBlock.statements, symbols);
+            }
+        } else if (statement instanceof LoopNode) {
+            collectSymbols(statement.body.statements, symbols);
+        }
+    }
+}
+
+function addSymbol(symbols, name, func, kind) {
+    // 内側で先に見つけた名前を優先する。ただし、あとで関数を代入しているなら関数とする
+    const found = symbols.get(name);
+    if (found === undefined) {
+        symbols.set(name, { name, kind, parameters: func ? func.parameters : null });
+    } else if (func !== null && found.kind === "variable") {
+        found.kind = "function";
+        found.parameters = func.parameters;
+    }
+}
+
+function completionItems(text, pos) {
+    // { label, kind: "function" | "variable" | "parameter" | "snippet", detail, insertText } の一覧
+    const items = completionScope(text, pos).map(symbol => {
+        if (symbol.kind === "function") {
+            const placeholders = symbol.parameters.map((parameter, i) => `\${${i + 1}:${parameter}}`);
+            return {
+                label: symbol.name,
+                kind: "function",
+                detail: `入力 ${symbol.parameters.join(", ")} に対し`,
+                insertText: `${symbol.name}(${placeholders.join(", ")})`
+            };
+        }
+        return { label: symbol.name, kind: symbol.kind, detail: symbol.kind === "parameter" ? "引数" : "変数", insertText: symbol.name };
+    });
+    return items.concat(NANAKO_SNIPPETS.map(snippet => ({ ...snippet, kind: "snippet" })));
+}
+
+function signatureHelp(text, pos) {
+    // pos を囲む、まだ閉じていない ( の関数と、何番目の引数を書いているか
+    // 呼び出しは一行に書くので、行の始めから pos までを読む
+    const lineStart = text.lastIndexOf("\n", pos - 1) + 1;
+    const open = [];
+    let inString = false;
+    for (let i = lineStart; i < pos; i++) {
+        const c = text[i];
+        if (inString) {
+            if (c === "\\") {
+                i++;
+            } else if (c === '"') {
+                inString = false;
+            }
+        } else if (c === '"') {
+            inString = true;
+        } else if (c === "#" || c === "＃") {
+            return null;
+        } else if ("([【（".includes(c)) {
+            open.push({ pos: i, call: c === "(" || c === "（", commas: 0 });
+        } else if (")]】）".includes(c)) {
+            open.pop();
+        } else if (",、，､".includes(c) && open.length > 0) {
+            open[open.length - 1].commas++;
+        }
+    }
+    const call = open.filter(found => found.call).pop();
+    if (call === undefined) {
+        return null;
+    }
+    const before = text.slice(lineStart, call.pos).trimEnd();
+    const func = completionScope(text, pos)
+        .filter(symbol => symbol.kind === "function" && before.endsWith(symbol.name))
+        .sort((a, b) => b.name.length - a.name.length)[0];
+    if (func === undefined) {
+        return null;
+    }
+    return {
+        name: func.name,
+        label: `${func.name}(${func.parameters.join(", ")})`,
+        parameters: func.parameters,
+        activeParameter: Math.min(call.commas, func.parameters.length - 1)
+    };
+}
+
+// AST を、変数を名前ではなく番号（スロット）で引くクロージャに変換して実行する
+// 関数を呼ぶときは { ...env } のコピーのかわりに、関数が書きかえる変数（引数と代入先）だけを
+// 保存して戻すので、evaluate() と同じ動的スコープになる
+// 回数・予算・タイムアウトは evaluate() と同じ NanakoRuntime のメソッドで数える（トレースは使えない）
+class NanakoCompiler {
+    constructor(runtime) {
+        this.runtime = runtime;
+        this.slots = new Map(); // 変数名 -> スロット
+        this.names = [];
+        this.values = []; // スロットごとの値（undefined はまだ代入していない）
+        this.definedAt = []; // 最後に代入されたときの順番（run() で env に書き戻す順）
+        this.clock = 0;
+        this.functions = new Map(); // FunctionNode -> { parameters, locals, body }
+    }
+
+    slot(name) {
+        let slot = this.slots.get(name);
+        if (slot === undefined) {
+            slot = this.names.length;
+            this.slots.set(name, slot);
+            this.names.push(name);
+        }
+        return slot;
+    }
+
+    store(slot, value) {
+        if (this.values[slot] === undefined) {
+            this.definedAt[slot] = this.clock++;
+        }
+        this.values[slot] = value;
+    }
+
+    compileFunction(func) {
+        let compiled = this.functions.get(func);
+        if (compiled === undefined) {
+            const parameters = func.parameters.map(name => this.slot(name));
+            const locals = new Set(parameters);
+            for (const name of assignedNames(func.body)) {
+                locals.add(this.slot(name));
+            }
+            compiled = { parameters, locals: [...locals], body: null };
+            this.functions.set(func, compiled);
+            compiled.body = func.body.compile(this);
+        }
+        return compiled;
+    }
+
+    run(node, env) {
+        // node を env で実行して、変数を env に書き戻す（ProgramNode なら evaluate() と同じ）
+        const closure = node.compile(this);
+        for (const [name, value] of Object.entries(env)) {
+            this.store(this.slot(name), value);
+        }
+        try {
+            return closure();
+        } finally {
+            const defined = [...this.slots.values()].filter(slot => this.values[slot] !== undefined);
+            defined.sort((a, b) => this.definedAt[a] - this.definedAt[b]);
+            for (const slot of defined) {
+                env[this.names[slot]] = this.values[slot];
+            }
+        }
+    }
+}
+
+function assignedNames(node, names = new Set()) {
+    // 関数の本体で代入・増やす・減らすする変数（中で定義した関数の本体は含めない）
+    if (node instanceof BlockNode) {
+        for (const statement of node.statements) {
+            assignedNames(statement, names);
+        }
+    } else if (node instanceof AssignmentNode || node instanceof IncrementNode || node instanceof DecrementNode) {
+        // A[i] = x は配列を書きかえるだけで、変数 A は変わらない
+        if (node.variable.indices === null || node.variable.indices.length === 0) {
+            names.add(node.variable.name);
+        }
+    } else if (node instanceof IfNode) {
+        assignedNames(node.thenBlock, names);
+        if (node.elseBlock) {
+            assignedNames(node.elseBlock, names);
+        }
+    } else if (node instanceof LoopNode) {
+        assignedNames(node.body, names);
+    }
+    return names;
+}
+
+// Nanako のバイトコード
+// AST を小さなスタックマシンの命令 { op, arg, node } の列にする（ASTNode.assemble を参照）
+// node はエラーの位置と、回数を数える文・式。関数の本体は別の NanakoAssembler にする
+class NanakoAssembler {
+    constructor(node) {
+        this.code = [];
+        this.functions = []; // 命令の中に出てくる関数（disassemble() で続けて表示する）
+        if (node instanceof FunctionNode) {
+            this.name = node.name;
+            this.parameters = node.parameters;
+            node.body.assemble(this);
+            // 答えがないときは ? を返す
+            this.emit("PUSH", null, node);
+            this.emit("RETURN", null, node);
+        } else {
+            this.name = PROFILE_MAIN;
+            this.parameters = null;
+            node.assemble(this);
+        }
+    }
+
+    emit(op, arg = null, node = null) {
+        this.code.push({ op, arg, node });
+        return this.code.length - 1;
+    }
+
+    patch(index) {
+        // index の命令の飛び先を、次に並べる命令にする
+        this.code[index].arg = this.code.length;
+    }
+
+    statements(statements) {
+        for (const statement of statements) {
+            this.emit("STMT", null, statement);
+            statement.assemble(this);
+        }
+    }
+
+    operand(instruction) {
+        const arg = instruction.arg;
+        switch (instruction.op) {
+            case "STMT": {
+                const details = instruction.node.errorDetails();
+                return `${details.lineText.trim()}   #(${details.line}行目)`;
+            }
+            case "PUSH":
+                if (arg === null) {
+                    return "?";
+                }
+                return arg instanceof NanakoArray ? arg.emit("js") : String(arg);
+            case "CLOSURE":
+                return `<関数 ${arg.name}>`;
+            case "INC":
+                return arg > 0 ? `+${arg}` : String(arg);
+            case "COMPARE":
+                return arg === "" ? "等しい" : arg;
+            case "INDEX":
+            case "STORE_INDEX":
+                return "";
+            default:
+                return arg === null ? "" : String(arg);
+        }
+    }
+
+    disassemble() {
+        // 命令を一行ずつ表示する（lines は各行の Nanako の行）
+        const header = this.parameters === null ? this.name : `${this.name}(${this.parameters.join(", ")})`;
+        const code = [`== ${header} ==`];
+        const lines = [null];
+        this.code.forEach((instruction, pc) => {
+            const operand = this.operand(instruction);
+            code.push(`${String(pc).padStart(4)}  ${instruction.op.padEnd(13)} ${operand}`.trimEnd());
+            lines.push(instruction.node === null ? null : instruction.node.lineNumber());
+        });
+        return { code, lines };
+    }
+}
+
+function disassemble(program) {
+    // プログラムと、その中の関数の命令を順に並べる
+    const assemblers = [new NanakoAssembler(program)];
+    const code = [];
+    const lines = [];
+    for (let i = 0; i < assemblers.length; i++) {
+        const result = assemblers[i].disassemble();
+        if (i > 0) {
+            code.push("");
+            lines.push(null);
+        }
+        code.push(...result.code);
+        lines.push(...result.lines);
+        assemblers.push(...assemblers[i].functions.map(func => new NanakoAssembler(func)));
+    }
+    return { code: code.join("\n"), lines };
+}
+
+// バイトコードを一命令ずつ実行するスタックマシン
+// 関数を呼ぶときの変数は evaluate() と同じく NanakoRuntime.functionScope で作る
+// 回数・予算・タイムアウト・トレースは evaluate() と同じ NanakoRuntime のメソッドで数える
+class NanakoVM {
+    constructor(runtime = null) {
+        this.runtime = runtime || new NanakoRuntime();
+        this.assemblers = new Map(); // FunctionNode -> NanakoAssembler
+        this.assembler = null; // 実行中の命令列
+        this.pc = 0;
+        this.env = null;
+        this.stack = [];
+        this.frames = []; // 呼び出した側の { assembler, pc, env, sp, loops }
+        this.loops = []; // 実行中のくり返し { depth, sp, exit, i, n, details }
+        this.finished = true;
+    }
+
+    load(program, env) {
+        this.assembler = new NanakoAssembler(program);
+        this.pc = 0;
+        this.env = env;
+        this.stack = [];
+        this.frames = [];
+        this.loops = [];
+        this.finished = this.assembler.code.length === 0;
+        return this.assembler;
+    }
+
+    run(program, env) {
+        // program を env で最後まで実行する（ProgramNode.evaluate() と同じ）
+        this.load(program, env);
+        this.execute(Infinity);
+        return env;
+    }
+
+    step() {
+        // 一命令だけ実行して、まだ命令が残っていれば true を返す
+        return this.execute(1);
+    }
+
+    execute(limit) {
+        try {
+            for (let count = 0; count < limit && !this.finished; count++) {
+                this.dispatch(this.assembler.code[this.pc++]);
+                if (this.frames.length === 0 && this.pc >= this.assembler.code.length) {
+                    this.finished = true;
+                }
+            }
+        } catch (e) {
+            this.finished = true;
+            this.runtime.attachCallFrames(e);
+            while (this.frames.length > 0) {
+                this.frames.pop();
+                this.runtime.popCallFrame();
+            }
+            throw e;
+        }
+        return !this.finished;
+    }
+
+    dispatch(instruction) {
+        const runtime = this.runtime;
+        const stack = this.stack;
+        const node = instruction.node;
+        switch (instruction.op) {
+            case "STMT":
+                runtime.enterStatement(node, this.env);
+                break;
+            case "PUSH":
+                stack.push(instruction.arg);
+                break;
+            case "CLOSURE":
+                stack.push(runtime.closure(instruction.arg, this.env));
+                break;
+            case "LOAD":
+                stack.push(node.lookup(this.env));
+                break;
+            case "CHECK_ARRAY":
+                node.checkArray(stack[stack.length - 1]);
+                break;
+            case "INDEX": {
+                const index = stack.pop();
+                stack.push(node.elementAt(stack.pop(), index, instruction.arg));
+                break;
+            }
+            case "LEN":
+                stack.push(node.lengthOf(stack.pop()));
+                break;
+            case "NEG":
+                stack.push(node.negate(stack.pop()));
+                break;
+            case "ARRAY":
+                stack.push(new NanakoArray(stack.splice(stack.length - instruction.arg)));
+                break;
+            case "FUNC":
+                stack.push(node.lookupFunction(this.env));
+                break;
+            case "CALL":
+                this.call(node, stack.splice(stack.length - instruction.arg));
+                break;
+            case "STORE":
+                this.env[instruction.arg] = stack.pop();
+                break;
+            case "STORE_INDEX": {
+                const index = stack.pop();
+                const array = stack.pop();
+                node.storeAt(array, index, instruction.arg, stack.pop());
+                break;
+            }
+            case "UPDATE":
+                runtime.updateVariable(instruction.arg, this.env, node.source, node.pos);
+                break;
+            case "INC": {
+                const value = stack.pop();
+                if (typeof value !== 'number') {
+                    throw new NanakoError(`数じゃないよ: ❌${value}`, node.variable.errorDetails());
+                }
+                stack.push(value + instruction.arg);
+                break;
+            }
+            case "COUNT":
+                if (instruction.arg === "increments") {
+                    runtime.countIncrement(node);
+                } else {
+                    runtime.countDecrement(node);
+                }
+                break;
+            case "APPEND": {
+                const value = stack.pop();
+                stack.pop().elements.push(value);
+                break;
+            }
+            case "COMPARE": {
+                const right = stack.pop();
+                stack.push(node.compare(runtime, stack.pop(), right));
+                break;
+            }
+            case "JUMP_IF_FALSE":
+                if (!stack.pop()) {
+                    this.pc = instruction.arg;
+                }
+                break;
+            case "JUMP":
+                this.pc = instruction.arg;
+                break;
+            case "LOOP":
+                this.enterLoop(node, stack.pop(), instruction.arg);
+                break;
+            case "NEXT": {
+                const loop = this.loops[this.loops.length - 1];
+                if (loop.i < loop.n) {
+                    loop.i++;
+                    runtime.checkExecution(loop.details);
+                } else {
+                    this.loops.pop();
+                    this.pc = instruction.arg;
+                }
+                break;
+            }
+            case "BREAK":
+                this.breakLoop();
+                break;
+            case "RETURN": {
+                const value = stack.pop();
+                if (this.frames.length === 0) {
+                    // 関数の外の 答え は evaluate() と同じく例外にする
+                    throw new ReturnBreakException(value);
+                }
+                this.leave();
+                stack.push(value);
+                break;
+            }
+            case "PRINT": {
+                const e = node.expression;
+                runtime.print(stack.pop(), e.source, e.pos, e.endPos);
+                break;
+            }
+            case "TEST": {
+                const answer = stack.pop();
+                const value = stack.pop();
+                if (!node.passed(value, answer)) {
+                    throw new NanakoError(`テストに失敗: ${value}`, node.errorDetails());
+                }
+                break;
+            }
+            default:
+                throw new Error(`知らない命令です: ${instruction.op}`);
+        }
+    }
+
+    assemblerOf(func) {
+        let assembler = this.assemblers.get(func);
+        if (assembler === undefined) {
+            assembler = new NanakoAssembler(func);
+            this.assemblers.set(func, assembler);
+        }
+        return assembler;
+    }
+
+    call(node, args) {
+        const func = this.stack.pop();
+        this.runtime.pushCallFrame(node.name, args, node.pos, node.source);
+        const env = this.runtime.functionScope(func, this.env);
+        for (let i = 0; i < args.length; i++) {
+            env[func.parameters[i]] = args[i];
+        }
+        this.frames.push({ assembler: this.assembler, pc: this.pc, env: this.env, sp: this.stack.length, loops: this.loops.length });
+        this.assembler = this.assemblerOf(func);
+        this.pc = 0;
+        this.env = env;
+    }
+
+    leave() {
+        // 関数から呼び出した側に戻る（関数の中のくり返しも終わる）
+        const frame = this.frames.pop();
+        this.runtime.popCallFrame();
+        this.assembler = frame.assembler;
+        this.pc = frame.pc;
+        this.env = frame.env;
+        this.stack.length = frame.sp;
+        this.loops.length = frame.loops;
+    }
+
+    enterLoop(node, count, exit) {
+        const details = errorDetails(node.source, node.pos);
+        if (count !== null) {
+            if (Array.isArray(count)) {
+                throw new NanakoError(`配列の長さでは？`, details);
+            }
+            if (count < 0) {
+                throw new NanakoError(`負のループ回数: ${count}`, details);
+            }
+        }
+        const n = count === null ? Infinity : Math.floor(count);
+        this.loops.push({ depth: this.frames.length, sp: this.stack.length, exit, i: 0, n, details });
+    }
+
+    breakLoop() {
+        if (this.loops.length === 0) {
+            throw new BreakBreakException();
+        }
+        // 関数の中の くり返しを抜ける は、呼び出した側のくり返しを抜ける
+        const loop = this.loops[this.loops.length - 1];
+        while (this.frames.length > loop.depth) {
+            this.leave();
+        }
+        this.loops.pop();
+        this.stack.length = loop.sp;
+        this.pc = loop.exit;
+    }
+
+    state() {
+        if (this.finished) {
+            return { status: "finished", env: this.env };
+        }
+        const instruction = this.assembler.code[this.pc];
+        return {
+            status: "paused",
+            name: this.assembler.name,
+            pc: this.pc,
+            instruction: instruction,
+            line: instruction.node.lineNumber(),
+            stack: this.stack.slice(),
+            callFrames: this.runtime.callFrames.slice(),
+            env: this.env
+        };
+    }
+}
+
+// Debugger
+class NanakoDebugger {
+    constructor(runtime = null) {
+        this.runtime = runtime || new NanakoRuntime();
+        this.breakpoints = new Set();
+        this.program = null;
+        this.env = null;
+        this.steps = null;
+        this.current = null; // {node, env}
+        this.finished = false;
+    }
+
+    load(code, env = null) {
+        const parser = new NanakoParser({ level: this.runtime.level });
+        this.program = parser.parse(code);
+        this.env = env === null ? {} : transformArray(env);
+        this.steps = this.program.evaluateSteps(this.runtime, this.env);
+        this.current = null;
+        this.finished = false;
+        this.runtime.callFrames = [];
+        this.runtime.start(0);
+        return this.program;
+    }
+
+    setBreakpoint(line) {
+        this.breakpoints.add(line);
+    }
+
+    clearBreakpoint(line) {
+        this.breakpoints.delete(line);
+    }
+
+    toggleBreakpoint(line) {
+        if (this.breakpoints.has(line)) {
+            this.breakpoints.delete(line);
+            return false;
+        }
+        this.breakpoints.add(line);
+        return true;
+    }
+
+    isBreakpoint(step) {
+        return this.breakpoints.has(step.node.lineNumber());
+    }
+
+    resume(shouldPause) {
+        if (this.steps === null) {
+            throw new Error("プログラムが読み込まれていません");
+        }
+        while (!this.finished) {
+            let result;
+            try {
+                result = this.steps.next();
+            } catch (e) {
+                this.finished = true;
+                this.current = null;
+                throw e;
+            }
+            if (result.done) {
+                this.finished = true;
+                this.current = null;
+                break;
+            }
+            if (shouldPause(result.value)) {
+                this.current = result.value;
+                return this.state();
+            }
+        }
+        return this.state();
+    }
+
+    continue() {
+        return this.resume(step => this.isBreakpoint(step));
+    }
+
+    stepInto() {
+        return this.resume(() => true);
+    }
+
+    stepOver() {
+        const depth = this.runtime.callFrames.length;
+        return this.resume(step => this.runtime.callFrames.length <= depth || this.isBreakpoint(step));
+    }
+
+    stepOut() {
+        const depth = this.runtime.callFrames.length;
+        return this.resume(step => this.runtime.callFrames.length < depth || this.isBreakpoint(step));
+    }
+
+    stop() {
+        if (this.steps !== null && !this.finished) {
+            this.steps.return();
+        }
+        this.finished = true;
+        this.current = null;
+        this.runtime.callFrames = [];
+    }
+
+    state() {
+        if (this.finished || this.current === null) {
+            return { status: "finished", env: this.env };
+        }
+        const node = this.current.node;
+        const details = node.errorDetails();
+        return {
+            status: "paused",
+            line: details.line,
+            col: details.col,
+            lineText: details.lineText,
+            node: node,
+            callFrames: this.runtime.callFrames.slice(),
+            env: this.current.env
+        };
+    }
+}
+
 // Export for Node.js if in Node environment
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        NANAKO_VERSION,
         NanakoRuntime,
         NanakoParser,
+        NANAKO_LEVELS,
+        errorDetails,
+        formatValue,
+        traceValue,
+        visualizeValue,
+        formatNanako,
+        compileToJavaScript,
+        compileToPython,
+        stringfyAsJson,
         NanakoArray,
         NanakoError,
+        NanakoDebugger,
+        NanakoTrace,
+        NanakoProfiler,
+        NanakoExperiment,
+        NanakoLinter,
+        NanakoTypeChecker,
+        formatType,
+        assignedNames,
+        parameterRange,
+        NANAKO_SNIPPETS,
+        completionItems,
+        signatureHelp,
+        NanakoCompiler,
+        NanakoAssembler,
+        NanakoVM,
+        disassemble,
+        GROWTH_MODELS,
+        fitGrowth,
         ReturnBreakException,
         // AST nodes
         ASTNode,
+        AST_SCHEMA_VERSION,
         StatementNode,
         ExpressionNode,
         ProgramNode,
@@ -1747,8 +5679,10 @@ if (typeof module !== 'undefined' && module.exports) {
         AssignmentNode,
         IncrementNode,
         DecrementNode,
+        AppendNode,
         IfNode,
         LoopNode,
+        BreakNode,
         ReturnNode,
         ExpressionStatementNode,
         TestNode
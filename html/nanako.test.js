@@ -27,12 +27,12 @@ const createNanakoContext = () => {
     };
     
     // Execute nanako.js in the context
-    const func = new Function('console', nanakoCode + '; return { NanakoParser, NanakoRuntime, NanakoArray, ASTNode, ReturnBreakException, transformArray };');
+    const func = new Function('console', nanakoCode + '; return { NanakoParser, NanakoRuntime, NanakoArray, NanakoDebugger, NanakoTrace, NanakoProfiler, NanakoExperiment, NanakoLinter, NanakoTypeChecker, completionItems, signatureHelp, NanakoCompiler, NanakoVM, disassemble, fitGrowth, ASTNode, ReturnBreakException, transformArray, visualizeValue, formatNanako, compileToJavaScript, compileToPython };');
     return func(context.console);
 };
 
 const nanakoClasses = createNanakoContext();
-const { NanakoParser, NanakoRuntime, NanakoArray, ASTNode, ReturnBreakException, transformArray } = nanakoClasses;
+const { NanakoParser, NanakoRuntime, NanakoArray, NanakoDebugger, NanakoTrace, NanakoProfiler, NanakoExperiment, NanakoLinter, NanakoTypeChecker, completionItems, signatureHelp, NanakoCompiler, NanakoVM, disassemble, fitGrowth, ASTNode, ReturnBreakException, transformArray, visualizeValue, formatNanako, compileToJavaScript, compileToPython } = nanakoClasses;
 
 class TestNanakoParser {
     beforeEach() {
@@ -835,6 +835,1830 @@ class TestNanakoEmitCode {
     }
 }
 
+class TestNanakoBudget {
+    beforeEach() {
+        this.parser = new NanakoParser();
+        this.runtime = new NanakoRuntime();
+        this.env = {};
+        capturedOutput = [];
+    }
+
+    testStatementBudget() {
+        this.runtime.setBudget({ statements: 10 });
+        expect(() => {
+            this.runtime.exec(`
+y = 0
+?回、くり返す {
+    yを増やす
+}
+`, null, 0);
+        }).toThrow(/実行ステップ数の上限\(10回\)/);
+        expect(this.runtime.statementCount).toBe(11);
+    }
+
+    testCallBudget() {
+        this.runtime.setBudget({ calls: 5 });
+        let error = null;
+        try {
+            this.runtime.exec(`
+無限 = 入力 n に対し {
+    無限(n)が答え
+}
+無限(1)
+`, null, 0);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toMatch(/関数呼び出し回数の上限\(5回\)/);
+        expect(error.line).toBe(3);
+    }
+
+    testIncrementBudget() {
+        this.runtime.setBudget({ increments: 3 });
+        expect(() => {
+            this.runtime.exec(`
+x = 0
+5回、くり返す {
+    xを増やす
+}
+`, null, 0);
+        }).toThrow(/増やす・減らすの回数の上限\(3回\)/);
+        expect(this.runtime.incrementCount).toBe(4);
+    }
+
+    testIncrementBudgetPerRun() {
+        // 予算は実行ごとに数える（同じ runtime で何回実行しても同じ結果になる）
+        this.runtime.setBudget({ increments: 15 });
+        const code = `
+x = 0
+10回、くり返す {
+    xを増やす
+}
+`;
+        expect(this.runtime.exec(code, null, 0).x).toBe(10);
+        expect(this.runtime.exec(code, null, 0).x).toBe(10);
+        expect(this.runtime.incrementCount).toBe(20);
+    }
+
+    testWithinBudget() {
+        this.runtime.setBudget({ statements: 100, calls: 10, increments: 10 });
+        const env = this.runtime.exec(DEBUG_NANAKO, null, 0);
+        expect(env.Z).toBe(3);
+    }
+
+    testRecursionTimeout() {
+        // くり返しのない再帰でも、タイムアウトで止まる
+        const program = this.parser.parse(`
+木 = 入力 n に対し {
+    もし n が 0 ならば、{
+        0 が答え
+    }
+    m = n
+    mを減らす
+    a = 木(m)
+    a = 木(m)
+    0 が答え
+}
+x = 木(30)
+`);
+        this.runtime.start(1);
+        this.runtime.startTime -= 2000;
+        expect(() => program.evaluate(this.runtime, this.env)).toThrow(/タイムアウト/);
+    }
+}
+
+class TestNanakoRecursion {
+    beforeEach() {
+        this.parser = new NanakoParser();
+        this.runtime = new NanakoRuntime();
+        this.env = {};
+        capturedOutput = [];
+    }
+
+    evaluate(depth) {
+        const program = this.parser.parse(RECURSION_NANAKO.replace("N", depth));
+        program.evaluate(this.runtime, this.env);
+    }
+
+    testWithinDepth() {
+        this.runtime.maxDepth = 20;
+        this.evaluate(19);
+        expect(this.env.X).toBe(0);
+        expect(this.runtime.callFrames).toHaveLength(0);
+    }
+
+    testTooDeep() {
+        this.runtime.maxDepth = 20;
+        let error = null;
+        try {
+            this.evaluate(100);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).toMatch(/再帰が深すぎます/);
+        expect(error.line).toBe(8);
+        expect(error.callFrames).toHaveLength(20);
+        expect(error.callFrames[0]).toEqual({ funcName: "数える", args: ["100"], line: 10, col: 5 });
+        expect(error.callFrames[19]).toEqual({ funcName: "数える", args: ["81"], line: 8, col: 5 });
+        const traceback = error.formatTraceback(3);
+        expect(traceback).toBe([
+            "呼び出し履歴（新しい順）:",
+            "  数える(81)   #(8行目)",
+            "  数える(82)   #(8行目)",
+            "  数える(83)   #(8行目)",
+            "  ...（ほか17件）"
+        ].join("\n"));
+        expect(this.runtime.callFrames).toHaveLength(0);
+    }
+
+    testJavaScriptStackOverflow() {
+        this.runtime.maxDepth = 0;
+        let error = null;
+        try {
+            this.evaluate(1000000);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.constructor.name).toBe("NanakoError");
+        expect(error.message).toMatch(/再帰が深すぎます/);
+        expect(this.runtime.callFrames).toHaveLength(0);
+    }
+
+    testOtherRangeError() {
+        // スタックが尽きたのではない RangeError（大きすぎる配列など）は、再帰のエラーにしない
+        const code = "f = 入力 n に対し {\n    n\n    n が答え\n}\nx = f(1)\n";
+        for (const run of ["exec", "execCompiled"]) {
+            const runtime = new NanakoRuntime();
+            runtime.print = () => {
+                throw new RangeError("Invalid array length");
+            };
+            expect(() => runtime[run](code)).toThrow(RangeError);
+            expect(() => runtime[run](code)).toThrow("Invalid array length");
+        }
+    }
+}
+
+const RECURSION_NANAKO = `
+数える = 入力 n に対し {
+    もし n が 0 ならば、{
+        0が答え
+    }
+    m = n
+    mを減らす
+    数える(m)が答え
+}
+X = 数える(N)
+`;
+
+class TestNanakoTraceback {
+    beforeEach() {
+        this.runtime = new NanakoRuntime();
+        capturedOutput = [];
+    }
+
+    execError(code) {
+        try {
+            this.runtime.exec(code);
+        } catch (e) {
+            return e;
+        }
+        return null;
+    }
+
+    testIndexErrorInFunction() {
+        const error = this.execError(TRACEBACK_NANAKO);
+        expect(error.message).toMatch(/配列の添え字/);
+        expect(error.line).toBe(3);
+        expect(error.callFrames).toEqual([
+            { funcName: "合計", args: ["[[1, 2], [3, 4]]"], line: 10, col: 5 },
+            { funcName: "セル取得", args: ["[[1, 2], [3, 4]]", "3", "0"], line: 7, col: 5 }
+        ]);
+        expect(error.formatTraceback()).toBe([
+            "呼び出し履歴（新しい順）:",
+            "  セル取得([[1, 2], [3, 4]], 3, 0)   #(7行目)",
+            "  合計([[1, 2], [3, 4]])   #(10行目)"
+        ].join("\n"));
+        expect(this.runtime.callFrames).toHaveLength(0);
+    }
+
+    testErrorAtTopLevel() {
+        const error = this.execError("A = [1, 2]\nB = A[5]");
+        expect(error.line).toBe(2);
+        expect(error.callFrames).toEqual([]);
+        expect(error.formatTraceback()).toBe("");
+    }
+
+    testStepsPath() {
+        const nanakoDebugger = new NanakoDebugger(this.runtime);
+        nanakoDebugger.load(TRACEBACK_NANAKO);
+        let error = null;
+        try {
+            nanakoDebugger.continue();
+        } catch (e) {
+            error = e;
+        }
+        expect(error.callFrames.map(frame => frame.funcName)).toEqual(["合計", "セル取得"]);
+    }
+
+    testLongArgument() {
+        const error = this.execError(`
+f = 入力 A に対し {
+    A[100]が答え
+}
+X = f([10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25])
+`);
+        expect(error.callFrames[0].args[0]).toBe("[10, 11, 12, 13, 14, 15, 16, 17, 18, 19,...");
+    }
+}
+
+const TRACEBACK_NANAKO = `
+セル取得 = 入力 盤面, y, x に対し {
+    盤面[y][x]が答え
+}
+合計 = 入力 盤面 に対し {
+    y = 3
+    セル取得(盤面, y, 0)が答え
+}
+A = [[1, 2], [3, 4]]
+S = 合計(A)
+`;
+
+class TestNanakoTrace {
+    beforeEach() {
+        this.runtime = new NanakoRuntime();
+        capturedOutput = [];
+    }
+
+    testBubbleSort() {
+        this.runtime.startTrace();
+        this.runtime.exec(TRACE_NANAKO);
+        const trace = this.runtime.stopTrace();
+        expect(this.runtime.trace).toBeNull();
+
+        const swaps = trace.records.filter(record => record.line === 10 || record.line === 11);
+        expect(swaps.map(record => [record.oldValue, record.newValue])).toEqual([
+            [[3, 2, 1], [2, 2, 1]],
+            [[2, 2, 1], [2, 3, 1]],
+            [[2, 3, 1], [2, 1, 1]],
+            [[2, 1, 1], [2, 1, 3]],
+            [[2, 1, 3], [1, 1, 3]],
+            [[1, 1, 3], [1, 2, 3]]
+        ]);
+        const compare = trace.records.find(record => record.line === 8);
+        expect(compare.compares).toBe(1);
+        expect(compare.variable).toBeNull();
+        const increment = trace.records.find(record => record.line === 13);
+        expect(increment.increments).toBe(1);
+        expect(increment.oldValue).toBe(0);
+        expect(increment.newValue).toBe(1);
+
+        // 入れ替えの途中の配列が見える
+        expect(trace.stateAt(swaps[0].step).A).toEqual([2, 2, 1]);
+        expect(trace.stateAt(trace.records.length - 1).A).toEqual([1, 2, 3]);
+    }
+
+    testFunctionCall() {
+        this.runtime.startTrace();
+        this.runtime.exec(DEBUG_NANAKO);
+        const trace = this.runtime.stopTrace();
+        const assign = trace.records.find(record => record.variable === "Z");
+        const inner = trace.records.filter(record => record.depth === 1);
+        expect(inner.length).toBeGreaterThan(0);
+        expect(inner[0].funcName).toBe("足し算");
+        expect(assign.newValue).toBe(3);
+        // 関数から戻ってから書き込まれる
+        expect(assign.writtenAt).toBe(inner[inner.length - 1].step);
+        expect(trace.stateAt(assign.step).Z).toBeUndefined();
+        expect(trace.stateAt(assign.writtenAt).Z).toBe(3);
+    }
+
+    testJSON() {
+        this.runtime.startTrace();
+        this.runtime.exec('s = "AB"\nA = [[1], [2]]');
+        const trace = this.runtime.stopTrace();
+        const json = JSON.stringify(trace);
+        const loaded = NanakoTrace.fromJSON(json);
+        expect(loaded.records).toEqual(trace.records);
+        expect(loaded.stateAt(1)).toEqual({ s: "AB", A: [[1], [2]] });
+        expect(JSON.parse(json).truncated).toBe(false);
+    }
+
+    testLimit() {
+        this.runtime.startTrace(3);
+        this.runtime.exec(TRACE_NANAKO);
+        const trace = this.runtime.stopTrace();
+        expect(trace.records).toHaveLength(3);
+        expect(trace.truncated).toBe(true);
+    }
+
+    testDebugger() {
+        const nanakoDebugger = new NanakoDebugger(this.runtime);
+        nanakoDebugger.load(TRACE_NANAKO);
+        this.runtime.startTrace();
+        nanakoDebugger.continue();
+        const trace = this.runtime.stopTrace();
+        expect(trace.stateAt(trace.records.length - 1).A).toEqual([1, 2, 3]);
+    }
+}
+
+const TRACE_NANAKO = `
+A = [3, 2, 1]
+2回、くり返す {
+    i = 0
+    2回、くり返す {
+        j = i
+        jを増やす
+        もし A[i] が A[j] より大きい ならば、{
+            t = A[i]
+            A[i] = A[j]
+            A[j] = t
+        }
+        iを増やす
+    }
+}
+`;
+
+class TestNanakoVisualize {
+    testBars() {
+        expect(visualizeValue(new NanakoArray([3, 1, 2]))).toEqual({ kind: 'bars', values: [3, 1, 2], changed: [] });
+        expect(visualizeValue([1, 3, 2], [3, 1, 2]).changed).toEqual([0, 1]);
+        expect(visualizeValue([1, 3, 2, 4], [1, 3, 2]).changed).toEqual([3]);
+    }
+
+    testGrid() {
+        const before = new NanakoArray([[0, 1], [0, 0]]);
+        const after = new NanakoArray([[0, 0], [1, 0]]);
+        expect(visualizeValue(after, before)).toEqual({ kind: 'grid', rows: [[0, 0], [1, 0]], changed: [[0, 1], [1, 0]] });
+    }
+
+    testChars() {
+        const value = new NanakoArray("あいう");
+        expect(visualizeValue(value)).toEqual({ kind: 'chars', cells: ['あ', 'い', 'う'], changed: [] });
+        expect(visualizeValue("あえう", "あいう").changed).toEqual([1]);
+    }
+
+    testNotArray() {
+        expect(visualizeValue(1)).toBeNull();
+        expect(visualizeValue(null)).toBeNull();
+        expect(visualizeValue([[1], 2])).toBeNull();
+    }
+}
+
+class TestNanakoProfiler {
+    beforeEach() {
+        this.runtime = new NanakoRuntime();
+        capturedOutput = [];
+    }
+
+    profile(code) {
+        this.runtime.startProfile();
+        this.runtime.exec(code);
+        return this.runtime.stopProfile();
+    }
+
+    testLines() {
+        const profiler = this.profile(TRACE_NANAKO);
+        const lines = profiler.lineTable();
+        expect(lines.find(entry => entry.line === 8)).toEqual({
+            line: 8, code: "もし A[i] が A[j] より大きい ならば、{", statements: 4, increments: 0, decrements: 0, compares: 4
+        });
+        expect(lines.find(entry => entry.line === 7).increments).toBe(4);
+        expect(lines.map(entry => entry.line)).toEqual([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 13]);
+        expect(this.runtime.profiler).toBeNull();
+    }
+
+    testFunctions() {
+        const profiler = this.profile(PROFILE_NANAKO);
+        const functions = Object.fromEntries(profiler.functionTable().map(entry => [entry.name, entry]));
+        expect(functions["足し算"].calls).toBe(2);
+        expect(functions["足し算"].exclusive.increments).toBe(5);
+        expect(functions["足し算"].inclusive.increments).toBe(5);
+        expect(functions["まとめて足す"].calls).toBe(1);
+        expect(functions["まとめて足す"].exclusive.increments).toBe(0);
+        expect(functions["まとめて足す"].inclusive.increments).toBe(5);
+        expect(functions["(メイン)"].inclusive.increments).toBe(6);
+        expect(functions["(メイン)"].exclusive.increments).toBe(1);
+        expect(profiler.functionTable()[0].name).toBe("(メイン)");
+    }
+
+    testRecursion() {
+        const profiler = this.profile(RECURSION_NANAKO.replace("N", 5));
+        const entry = profiler.functionTable().find(entry => entry.name === "数える");
+        expect(entry.calls).toBe(6);
+        // 再帰しても合計は二重に数えない
+        expect(entry.inclusive.decrements).toBe(5);
+        expect(entry.inclusive.compares).toBe(6);
+    }
+
+    testFormatAndJSON() {
+        const profiler = this.profile(PROFILE_NANAKO);
+        const text = profiler.format();
+        expect(text).toContain("=== 関数ごとの回数 ===");
+        expect(text).toMatch(/足し算\s+2\s+/);
+        const loaded = NanakoProfiler.fromJSON(JSON.stringify(profiler));
+        expect(loaded.format()).toBe(text);
+    }
+}
+
+const PROFILE_NANAKO = `
+足し算 = 入力 X, Y に対し {
+    Y回、くり返す {
+        Xを増やす
+    }
+    Xが答え
+}
+まとめて足す = 入力 X に対し {
+    Y = 足し算(X, 2)
+    足し算(Y, 3)が答え
+}
+Z = まとめて足す(1)
+Zを増やす
+`;
+
+class TestNanakoExperiment {
+    testGenerateInput() {
+        expect(NanakoExperiment.generateInput(4, "sorted").elements).toEqual([1, 2, 3, 4]);
+        expect(NanakoExperiment.generateInput(4, "reversed").elements).toEqual([4, 3, 2, 1]);
+        const first = NanakoExperiment.generateInput(20, "random", NanakoExperiment.seededRandom(7)).elements;
+        const second = NanakoExperiment.generateInput(20, "random", NanakoExperiment.seededRandom(7)).elements;
+        expect(first).toEqual(second);
+        expect(first.every(value => value >= 0 && value < 20)).toBe(true);
+    }
+
+    testLinear() {
+        const experiment = new NanakoExperiment(EXPERIMENT_NANAKO, "合計");
+        const result = experiment.run([5, 10, 20, 40], { counter: "increments" });
+        expect(result.results.map(run => run.n)).toEqual([5, 10, 20, 40]);
+        expect(result.results.map(run => run.increments)).toEqual([5, 10, 20, 40]);
+        expect(result.best).toBe("O(n)");
+        expect(result.fits[0].a).toBeCloseTo(1);
+    }
+
+    testQuadratic() {
+        const experiment = new NanakoExperiment(EXPERIMENT_NANAKO, "ペア");
+        const result = experiment.run([2, 4, 8, 16, 32]);
+        expect(result.results.map(run => run.total)).toEqual([4, 16, 64, 256, 1024]);
+        expect(result.best).toBe("O(n²)");
+    }
+
+    testFit() {
+        const points = [1, 2, 4, 8, 16, 32].map(n => [n, 3 * n * Math.log2(n) + 2]);
+        const fits = fitGrowth(points);
+        expect(fits[0].model).toBe("O(n log n)");
+        expect(fits[0].a).toBeCloseTo(3);
+        expect(fits[0].b).toBeCloseTo(2);
+        expect(fits[0].r2).toBeCloseTo(1);
+    }
+
+    testUnknownFunction() {
+        expect(() => new NanakoExperiment(EXPERIMENT_NANAKO, "ない")).toThrow(/関数 'ない' が見つかりません/);
+    }
+}
+
+const EXPERIMENT_NANAKO = `
+合計 = 入力 A に対し {
+    s = 0
+    |A|回、くり返す {
+        sを増やす
+    }
+    sが答え
+}
+ペア = 入力 A に対し {
+    c = 0
+    |A|回、くり返す {
+        |A|回、くり返す {
+            cを増やす
+        }
+    }
+    cが答え
+}
+`;
+
+class TestNanakoRecovery {
+    beforeEach() {
+        this.parser = new NanakoParser();
+    }
+
+    testMultipleErrors() {
+        const { program, diagnostics } = this.parser.parseWithRecovery(RECOVERY_NANAKO);
+        expect(diagnostics.map(d => [d.message, d.line, d.col])).toEqual([
+            ["ここに何か忘れてません？", 2, 5],
+            ["ここに何か忘れてません？", 4, 9],
+            ["`ならば`が必要", 7, 11],
+            ["ななこの知らない書き方！", 11, 1]
+        ]);
+        expect(program.statements.map(statement => statement.lineNumber())).toEqual([1, 3, 10, 12]);
+        // ブロックの中のエラーはその行だけ飛ばす
+        expect(program.statements[1].thenBlock.statements).toHaveLength(1);
+        expect(this.parser.diagnostics).toBeNull();
+    }
+
+    testUnclosedBlock() {
+        const { program, diagnostics } = this.parser.parseWithRecovery("x = 1\nもし x が 1 ならば、{\n    もし x が 1 ならば、{\n        y = 2\n");
+        expect(diagnostics).toHaveLength(1);
+        expect(diagnostics[0].message).toBe("閉じ `}`を忘れないで");
+        expect(diagnostics[0].line).toBe(3);
+        expect(program.statements).toHaveLength(1);
+
+        // ブロックの中のエラーより、閉じ } のないブロックのエラーを先にする
+        const inner = this.parser.parseWithRecovery("もし x が 1 ならば、{\n  y = \n").diagnostics;
+        expect(inner.map(diagnostic => `${diagnostic.line}: ${diagnostic.message}`)).toEqual([
+            "1: 閉じ `}`を忘れないで",
+            "2: ここに何か忘れてません？"
+        ]);
+    }
+
+    testBraceInString() {
+        const { program, diagnostics } = this.parser.parseWithRecovery('x = = "{"\ny = 1');
+        expect(diagnostics).toHaveLength(1);
+        expect(program.statements).toHaveLength(1);
+    }
+
+    testNoErrors() {
+        const { program, diagnostics } = this.parser.parseWithRecovery(DEBUG_NANAKO);
+        expect(diagnostics).toEqual([]);
+        expect(program.emit("js")).toBe(this.parser.parse(DEBUG_NANAKO).emit("js"));
+    }
+
+    testParseStillThrows() {
+        expect(() => this.parser.parse(RECOVERY_NANAKO)).toThrow("ここに何か忘れてません？");
+    }
+}
+
+const RECOVERY_NANAKO = `x = 1
+y = = 2
+もし x が 1 ならば、{
+    z = = 1
+    w = 3
+}
+もし x が ならば、{
+    a = 1
+}
+b = 2
+}
+c = 3
+`;
+
+class TestNanakoAstJson {
+    beforeEach() {
+        this.parser = new NanakoParser();
+    }
+
+    testStatement() {
+        const program = this.parser.parse("x = 1\nxを増やす");
+        const json = program.toJSON();
+        expect(json.type).toBe("Program");
+        expect(json.schemaVersion).toBe(1);
+        expect(json.source).toBe("x = 1\nxを増やす");
+        expect(json.statements[1]).toEqual({
+            type: "Increment",
+            variable: {
+                type: "Variable",
+                name: "x",
+                indices: null,
+                range: { pos: 6, endPos: 7, start: { line: 2, col: 1 }, end: { line: 2, col: 2 } }
+            },
+            range: { pos: 6, endPos: 11, start: { line: 2, col: 1 }, end: { line: 2, col: 6 } }
+        });
+    }
+
+    testExpressions() {
+        const program = this.parser.parse('A[0] = f(-|"あい"|, [1, ?])');
+        const json = JSON.parse(JSON.stringify(program));
+        const call = json.statements[0].expression;
+        expect(call.type).toBe("FuncCall");
+        expect(call.arguments[0].type).toBe("Minus");
+        expect(call.arguments[0].element.element).toMatchObject({ type: "String", value: "あい" });
+        expect(call.arguments[1].elements.map(element => element.type)).toEqual(["Number", "Null"]);
+        expect(json.statements[0].variable.indices[0]).toMatchObject({ type: "Number", value: 0 });
+    }
+
+    testRoundTrip() {
+        const program = this.parser.parse(DEBUG_NANAKO + TRACE_NANAKO + RECURSION_NANAKO);
+        const json = JSON.stringify(program);
+        const restored = ASTNode.fromJSON(json);
+        expect(JSON.stringify(restored)).toBe(json);
+        expect(restored.emit("py")).toBe(program.emit("py"));
+        expect(restored.statements[0].expression.name).toBe("足し算");
+        expect(restored.statements[1].lineNumber()).toBe(program.statements[1].lineNumber());
+    }
+
+    testRestoredProgramRuns() {
+        const restored = ASTNode.fromJSON(JSON.stringify(this.parser.parse(TRACE_NANAKO)));
+        const env = {};
+        restored.evaluate(new NanakoRuntime(), env);
+        expect(env.A.elements).toEqual([1, 2, 3]);
+    }
+
+    testUnknownType() {
+        expect(() => ASTNode.fromJSON({ type: "Goto" })).toThrow("AST の型 'Goto' がわかりません");
+        expect(() => ASTNode.fromJSON({ type: "Program", schemaVersion: 99, statements: [] })).toThrow(/バージョン99/);
+    }
+}
+
+class TestNanakoFormatter {
+    testSymbolStyle() {
+        expect(formatNanako(FORMAT_NANAKO)).toBe(FORMAT_SYMBOL);
+    }
+
+    testVerbStyle() {
+        const code = formatNanako(FORMAT_NANAKO, { style: "verb" });
+        expect(code).toContain("x を 10 とする  # 最初の値\n");
+        expect(code).toContain("    A[i] を |B| とする\n");
+        expect(code).toContain("f = 入力 A, B に対し {");
+        expect(formatNanako(code, { style: "verb" })).toBe(code);
+        expect(formatNanako(code)).toBe(FORMAT_SYMBOL);
+    }
+
+    testComments() {
+        const program = new NanakoParser().parse(FORMAT_NANAKO);
+        const [x, f] = program.statements;
+        expect(x.trailingComment).toBe("# 最初の値");
+        expect(f.leadingTrivia).toEqual(["", "# 関数", "# 二行目"]);
+        expect(f.trailingComment).toBe("# ここから");
+        expect(f.expression.body.endTrivia).toEqual(["", "# 関数の終わり"]);
+        expect(program.endTrivia).toEqual(["# おわり"]);
+    }
+
+    testIdempotent() {
+        const examples = path.join(__dirname, '..', 'examples');
+        for (const file of fs.readdirSync(examples)) {
+            const code = fs.readFileSync(path.join(examples, file), 'utf8');
+            for (const style of ["symbol", "verb"]) {
+                const formatted = formatNanako(code, { style });
+                expect(formatNanako(formatted, { style })).toBe(formatted);
+                // 書き方が変わっても意味は変わらない（位置とコメントを除いた AST が同じ）
+                const ast = (text) => JSON.stringify(new NanakoParser().parse(text), (key, value) =>
+                    ["range", "source", "leadingTrivia", "trailingComment", "endTrivia"].includes(key) ? undefined : value);
+                expect(ast(formatted)).toBe(ast(code));
+            }
+        }
+    }
+
+    testUnknownStyle() {
+        expect(() => formatNanako("x = 1", { style: "python" })).toThrow("整形のスタイル 'python' がわかりません");
+        expect(formatNanako("")).toBe("");
+    }
+}
+
+class TestNanakoTrivia {
+    beforeEach() {
+        this.parser = new NanakoParser();
+    }
+
+    testEmitPy() {
+        const program = this.parser.parse(TRIVIA_NANAKO);
+        expect(program.emit("py", "|")).toBe(TRIVIA_PYTHON);
+    }
+
+    testEmitJs() {
+        const code = this.parser.parse(TRIVIA_NANAKO).emit("js");
+        expect(code).toContain("\n    // 8方向をチェック\n    env.n = 0;  // 数える\n");
+        expect(code).toContain("    while (true) {\n        // まだ何もしない\n    }\n");
+    }
+
+    testFunctionBlankLine() {
+        // 関数の定義のあとの空行は重ならない
+        const code = this.parser.parse("f = 入力 x に対し {\n    xが答え\n}\n\n\nf(1)").emit("py");
+        expect(code).toBe('def f(env):\n    return env.x\nenv.f = nanako.func(["x"], f)\n\nnanako.print(nanako.call(env, "f", 1), 6, "f(1)")');
+    }
+
+    testJson() {
+        const program = this.parser.parse(TRIVIA_NANAKO);
+        const json = program.toJSON();
+        const check = json.statements[0].expression.body;
+        expect(check.statements[0].leadingTrivia).toEqual(["# 8方向をチェック"]);
+        expect(check.statements[0].trailingComment).toBe("# 数える");
+        expect(check.statements[1].leadingTrivia).toEqual([""]);
+        expect(check.statements[2].leadingTrivia).toBeUndefined();
+        expect(json.endTrivia).toEqual(["", "# おわり"]);
+        const restored = ASTNode.fromJSON(JSON.stringify(json));
+        expect(restored.emit("py", "|")).toBe(TRIVIA_PYTHON);
+    }
+}
+
+class TestNanakoSourceMap {
+    beforeEach() {
+        this.program = new NanakoParser().parse(EMIT_NANAKO);
+    }
+
+    testJsLines() {
+        const { code, lines } = this.program.emitWithMap("js");
+        expect(code).toBe(this.program.emit("js"));
+        const generated = code.split("\n");
+        expect(lines.length).toBe(generated.length);
+        // if の行は もし の行、else と閉じ } は対応なし
+        expect(lines[generated.indexOf("    env.i = 0;")]).toBe(3);
+        expect(lines[generated.indexOf("        if (nanako.compare(env.sum > 10)) {")]).toBe(8);
+        expect(lines[generated.indexOf("        else {")]).toBeNull();
+        expect(lines[generated.length - 1]).toBe(22);
+    }
+
+    testSourceMap() {
+        const { code, sourceMap } = this.program.emitWithMap("js", "sum.nanako");
+        expect(sourceMap).toMatchObject({ version: 3, file: "sum.js", sources: ["sum.nanako"], names: [] });
+        expect(sourceMap.sourcesContent).toEqual([EMIT_NANAKO]);
+        // Node の SourceMap で読めて、生成した位置から Nanako の行・列(0始まり)がわかる
+        const { SourceMap } = require('module');
+        const map = new SourceMap(sourceMap);
+        const generated = code.split("\n");
+        const line = generated.indexOf("            nanako.put(env.buf, null, nanako.at(env.数列, env.i));");
+        expect(map.findEntry(line, 12)).toMatchObject({ generatedLine: line, generatedColumn: 12, originalLine: 11, originalColumn: 12 });
+        expect(map.findEntry(0, 0)).toMatchObject({ originalLine: 1, originalColumn: 0 });
+    }
+
+    testPyLines() {
+        const { code, lines, sourceMap } = this.program.emitWithMap("py");
+        expect(code).toBe(this.program.emit("py"));
+        expect(sourceMap).toBeNull();
+        expect(lines.slice(0, 6)).toEqual([2, 3, 4, 5, 6, 7]);
+    }
+}
+
+class TestNanakoJavaScript {
+    runBoth(code) {
+        // NanakoRuntime と、変換した JavaScript の両方で実行して、表示と回数をくらべる
+        capturedOutput = [];
+        const runtime = new NanakoRuntime();
+        try {
+            const env = runtime.exec(code, {}, 30);
+            if (Object.keys(env).length > 0) {
+                capturedOutput.push(runtime.stringfyAsJson(env));
+            }
+        } catch (e) {
+            capturedOutput.push(`エラー: ${e.message}`);
+        }
+        const output = [];
+        const context = { console: { log: (...args) => output.push(args.join(' ')) } };
+        const { code: script } = compileToJavaScript(code);
+        try {
+            require('vm').runInNewContext(script, context);
+        } catch (e) {
+            output.push(`エラー: ${e.message}`);
+        }
+        const nanako = require('vm').runInContext("nanako", context);
+        expect(output).toEqual(capturedOutput);
+        expect([nanako.incrementCount, nanako.decrementCount, nanako.compareCount])
+            .toEqual([runtime.incrementCount, runtime.decrementCount, runtime.compareCount]);
+        return output;
+    }
+
+    testExamples() {
+        const examples = path.join(__dirname, '..', 'examples');
+        for (const file of fs.readdirSync(examples)) {
+            const output = this.runBoth(fs.readFileSync(path.join(examples, file), 'utf8'));
+            expect(output.join("\n")).not.toContain("エラー: ");
+        }
+    }
+
+    testString() {
+        // 文字列は文字コードの配列
+        const output = this.runBoth('S = "AB"\nS[0]\nSの末尾にS[1]を追加する\nS\n');
+        expect(output.slice(0, 2)).toEqual([">>> S[0]   #(2行目)\n65", '>>> S   #(4行目)\n"ABB"']);
+    }
+
+    testDoctest() {
+        // 配列の答えも中身でくらべる
+        const code = 'f = 入力 x に対し {\n    [x, x]が答え\n}\n>>> f(1)\n';
+        expect(this.runBoth(code + "[1, 1]\n")).toEqual(["{\n}"]);
+        expect(this.runBoth(code + "[1, 2]\n")).toEqual(["エラー: テストに失敗: [1, 1]"]);
+    }
+
+    testRuntimeErrors() {
+        this.runBoth("A = [1, 2]\nx = A[2]\n");
+        this.runBoth("x = |3|\n");
+        this.runBoth("x = f(1)\n");
+        this.runBoth("n = -1\nn回、くり返す {\n}\n");
+        this.runBoth("f = 入力 n に対し {\n    f(n)が答え\n}\nx = f(1)\n");
+    }
+
+    testNames() {
+        // JavaScript の予約語や env と同じ名前の変数も使える
+        const output = this.runBoth("new = 1\nenv = 2\nnewを増やす\nenvを減らす\n");
+        expect(output).toEqual(['{\n    "new": 2,\n    "env": 1\n}']);
+    }
+
+    testSourceMap() {
+        const { code, lines, sourceMap } = compileToJavaScript("x = 1\nxを増やす\n", "inc.nanako");
+        // 最後の改行のあとの行は数えない
+        const generated = code.split("\n");
+        expect(lines.length).toBe(generated.length - 1);
+        expect(lines[generated.indexOf("env.x = nanako.increment(env.x);")]).toBe(2);
+        const { SourceMap } = require('module');
+        const map = new SourceMap(sourceMap);
+        expect(map.findEntry(generated.indexOf("env.x = 1;"), 0)).toMatchObject({ originalSource: "inc.nanako", originalLine: 0 });
+    }
+}
+
+// python3 がないところでは Python のテストを飛ばす
+const hasPython = require('child_process').spawnSync('python3', ['--version']).status === 0;
+
+class TestNanakoPython {
+    runBoth(code) {
+        // NanakoRuntime と、変換した Python の両方で実行して、表示と回数をくらべる
+        capturedOutput = [];
+        const runtime = new NanakoRuntime();
+        try {
+            const env = runtime.exec(code, {}, 30);
+            if (Object.keys(env).length > 0) {
+                capturedOutput.push(runtime.stringfyAsJson(env));
+            }
+        } catch (e) {
+            capturedOutput.push(`エラー: ${e.message}`);
+        }
+        const script = compileToPython(code).code +
+            "import sys\nprint(nanako.increment_count, nanako.decrement_count, nanako.compare_count, file=sys.stderr)\n";
+        const result = require('child_process').spawnSync('python3', ['-c', script], { encoding: 'utf8', timeout: 60000 });
+        const output = result.stdout === "" ? [] : result.stdout.replace(/\n$/, "").split("\n>>> ").map((text, i) => i === 0 ? text : `>>> ${text}`);
+        const last = result.stderr.trim().split("\n").pop();
+        if (result.status !== 0) {
+            output.push(`エラー: ${last.replace(/^NanakoError: /, "")}`);
+        } else {
+            expect(last).toBe(`${runtime.incrementCount} ${runtime.decrementCount} ${runtime.compareCount}`);
+        }
+        expect(output.join("\n")).toBe(capturedOutput.join("\n"));
+        return output;
+    }
+
+    testExamples() {
+        const examples = path.join(__dirname, '..', 'examples');
+        for (const file of fs.readdirSync(examples)) {
+            const output = this.runBoth(fs.readFileSync(path.join(examples, file), 'utf8'));
+            expect(output.join("\n")).not.toContain("エラー: ");
+        }
+    }
+
+    testFunctions() {
+        // 式の中の関数も def してから使う
+        const code = '呼ぶ = 入力 g, x に対し {\n    g(x)が答え\n}\ny = 呼ぶ(入力 n に対し {\n    nを増やす\n    nが答え\n}, 3)\n';
+        expect(compileToPython(code).code).toContain("    def lambda4x8(env):\n");
+        this.runBoth(code);
+    }
+
+    testNames() {
+        // Python の予約語と同じ名前の変数も使える
+        const output = this.runBoth("if = 1\nNone = ?\nifを増やす\nもし None が 0 より小さいならば、{\n    ifを増やす\n}\n");
+        expect(output).toEqual(['{\n    "if": 2,\n    "None": null\n}']);
+    }
+
+    testDoctest() {
+        const code = 'f = 入力 x に対し {\n    [x, "x"]が答え\n}\n>>> f(1)\n';
+        this.runBoth(code + '[1, "x"]\n');
+        expect(this.runBoth(code + "[1, 2]\n")).toEqual(['エラー: テストに失敗: [1, "x"]']);
+    }
+
+    testRuntimeErrors() {
+        this.runBoth("A = [1, 2]\nx = A[2]\n");
+        this.runBoth("x = |3|\n");
+        this.runBoth("x = f(1)\n");
+        this.runBoth("f = 入力 n に対し {\n    f(n)が答え\n}\nx = f(1)\n");
+    }
+
+    testLines() {
+        const { code, lines, sourceMap } = compileToPython("x = 1\nxを増やす\n");
+        const generated = code.split("\n");
+        expect(lines.length).toBe(generated.length - 1);
+        expect(lines[generated.indexOf("    env.x = nanako.increment(env.x)")]).toBe(2);
+        expect(sourceMap).toBeNull();
+    }
+}
+
+class TestNanakoCompiler {
+    execute(runtime, program, env) {
+        new NanakoCompiler(runtime).run(program, env);
+    }
+
+    runBoth(code, budget = {}) {
+        // evaluate() と execute() で実行して、表示・回数・変数・エラーをくらべる
+        const results = [false, true].map(compiled => {
+            capturedOutput = [];
+            const runtime = new NanakoRuntime().setBudget(budget);
+            const env = {};
+            let error = null;
+            try {
+                const program = new NanakoParser().parse(code);
+                runtime.start(30);
+                if (compiled) {
+                    this.execute(runtime, program, env);
+                } else {
+                    program.evaluate(runtime, env);
+                }
+            } catch (e) {
+                error = [e.message, e.line, e.col, e.callFrames];
+            }
+            const counts = [runtime.incrementCount, runtime.decrementCount, runtime.compareCount, runtime.statementCount, runtime.callCount];
+            return { output: capturedOutput, json: runtime.stringfyAsJson(env), keys: Object.keys(env), counts, error };
+        });
+        expect(results[1]).toEqual(results[0]);
+        return results[1];
+    }
+
+    testExamples() {
+        const examples = path.join(__dirname, '..', 'examples');
+        for (const file of fs.readdirSync(examples)) {
+            const result = this.runBoth(fs.readFileSync(path.join(examples, file), 'utf8'));
+            expect(result.error).toBeNull();
+        }
+    }
+
+    testDynamicScope() {
+        // 呼び出した側の変数が見えて、関数の中の代入は外に残らない
+        const result = this.runBoth(`
+読む = 入力 a に対し {
+    yが答え
+}
+書く = 入力 a に対し {
+    y = a
+    zを増やす
+    w = 0
+    読む(0)が答え
+}
+z = 0
+y = 1
+x = 書く(5)
+`);
+        expect(result.json).toBe('{\n    "z": 0,\n    "y": 1,\n    "x": 5\n}');
+        expect(result.keys).toEqual(["読む", "書く", "z", "y", "x"]);
+    }
+
+    testBreakInFunction() {
+        // 関数の中の くり返しを抜ける は、呼び出した側のくり返しを抜ける
+        const result = this.runBoth(`
+抜ける = 入力 a に対し {
+    くり返しを抜ける
+}
+n = 0
+?回、くり返す {
+    nを増やす
+    抜ける(1)
+}
+`);
+        expect(result.json).toBe('{\n    "n": 1\n}');
+    }
+
+    testErrors() {
+        const traceback = this.runBoth(`
+セル取得 = 入力 盤面, y, x に対し {
+    盤面[y][x]が答え
+}
+A = [[1, 2], [3, 4]]
+S = セル取得(A, 3, 0)
+`);
+        expect(traceback.error[0]).toBe("配列の添え字は0から1の間ですよ: ❌3");
+        expect(traceback.error[3]).toHaveLength(1);
+        expect(this.runBoth("f = 入力 n に対し {\n    f(n)が答え\n}\nx = f(1)\n").error[0]).toBe("再帰が深すぎます（1000段）");
+        expect(this.runBoth("f = 入力 n に対し {\n    wが答え\n}\nx = f(1)\n").error[0]).toBe("知らない変数だよ！ 'w'");
+        this.runBoth("A = [1]\nA[0][1] = 2\n");
+        this.runBoth("x = 1\nx(2)\n");
+        this.runBoth(">>> [1, 2]\n[1, 3]\n");
+        this.runBoth("y = 0\n?回、くり返す {\n    yを増やす\n}\n", { statements: 10 });
+        this.runBoth("y = 0\n10回、くり返す {\n    yを増やす\n}\n", { increments: 3 });
+    }
+
+    testExecCompiled() {
+        const runtime = new NanakoRuntime();
+        const env = runtime.execCompiled("B = |A|\nAの末尾に1を追加する\n", { A: [5] });
+        expect(runtime.stringfyAsJson(env)).toBe('{\n    "A": [5, 1],\n    "B": 1\n}');
+    }
+}
+
+class TestNanakoLexicalScope {
+    exec(code, scoping = "lexical", run = "exec") {
+        const runtime = new NanakoRuntime();
+        runtime.scoping = scoping;
+        return runtime[run](code, null, 0);
+    }
+
+    testClosure() {
+        // 関数は作ったときの n を覚えている
+        const code = `
+足す数 = 入力 n に対し {
+    足す = 入力 x に対し {
+        k = x
+        n回、くり返す {
+            kを増やす
+        }
+        kが答え
+    }
+    足すが答え
+}
+三足す = 足す数(3)
+y = 三足す(4)
+`;
+        for (const run of ["exec", "execCompiled", "execBytecode"]) {
+            const env = this.exec(code, "lexical", run);
+            expect(env.y).toBe(7);
+            expect(Object.keys(env)).toEqual(["足す数", "三足す", "y"]);
+        }
+        expect(() => this.exec(code, "dynamic")).toThrow("知らない変数だよ！ 'n'");
+    }
+
+    testCallerVariables() {
+        // 呼び出した側の変数は見えない
+        const code = `
+読む = 入力 a に対し {
+    yが答え
+}
+書く = 入力 a に対し {
+    y = a
+    読む(0)が答え
+}
+x = 書く(1)
+`;
+        expect(this.exec(code, "dynamic").x).toBe(1);
+        for (const run of ["exec", "execBytecode"]) {
+            try {
+                this.exec(code, "lexical", run);
+                throw new Error("エラーになるはず");
+            } catch (e) {
+                expect(e.message).toBe("知らない変数だよ！ 'y'（関数の中で使えるのは、引数と関数の中で代入した変数と、関数を定義したところの変数です）");
+                expect(e.line).toBe(3);
+                expect(e.callFrames.map(frame => frame.funcName)).toEqual(["書く", "読む"]);
+            }
+        }
+    }
+
+    testDefiningScope() {
+        // 定義したところの変数は、呼び出したときの値が見える。関数の中の代入は外に残らない
+        const env = this.exec(`
+n = 1
+f = 入力 a に対し {
+    nを増やす
+    nが答え
+}
+n = 5
+x = f(0)
+`);
+        expect(env.x).toBe(6);
+        expect(env.n).toBe(5);
+    }
+
+    testRecursion() {
+        const code = `
+数える = 入力 n に対し {
+    もし n が 0 ならば、{
+        0が答え
+    }
+    m = n
+    mを減らす
+    k = 数える(m)
+    kを増やす
+    kが答え
+}
+x = 数える(5)
+`;
+        expect(this.exec(code).x).toBe(5);
+        expect(this.exec(code, "lexical", "execBytecode").x).toBe(5);
+    }
+}
+
+// NanakoCompiler と同じ例で、NanakoVM を evaluate() とくらべる
+class TestNanakoVM extends TestNanakoCompiler {
+    execute(runtime, program, env) {
+        new NanakoVM(runtime).run(program, env);
+    }
+
+    testTrace() {
+        // トレースも evaluate() と同じになる
+        const code = "A = [0, 0]\nA[1] = 5\nA[0]を増やす\nAの末尾に2を追加する\n";
+        const records = [false, true].map(vm => {
+            const runtime = new NanakoRuntime();
+            const program = new NanakoParser().parse(code);
+            runtime.startTrace();
+            runtime.start(0);
+            if (vm) {
+                this.execute(runtime, program, {});
+            } else {
+                program.evaluate(runtime, {});
+            }
+            return runtime.stopTrace().records;
+        });
+        expect(records[1]).toEqual(records[0]);
+        expect(records[1].map(record => record.newValue)).toEqual([[0, 0], [0, 5], [1, 5], [1, 5, 2]]);
+    }
+
+    testStep() {
+        const vm = new NanakoVM();
+        const env = {};
+        vm.load(new NanakoParser().parse("x = [1]\nxの末尾に2を追加する\n"), env);
+        vm.runtime.start(0);
+        const states = [];
+        do {
+            const state = vm.state();
+            states.push([state.pc, state.instruction.op, state.line, state.stack.map(value => `${value}`)]);
+        } while (vm.step());
+        expect(states).toEqual([
+            [0, "STMT", 1, []],
+            [1, "PUSH", 1, []],
+            [2, "ARRAY", 1, ["1"]],
+            [3, "STORE", 1, ["[1]"]],
+            [4, "UPDATE", 1, []],
+            [5, "STMT", 2, []],
+            [6, "LOAD", 2, []],
+            [7, "CHECK_ARRAY", 2, ["[1]"]],
+            [8, "PUSH", 2, ["[1]"]],
+            [9, "APPEND", 2, ["[1]", "2"]],
+            [10, "UPDATE", 2, []]
+        ]);
+        expect(vm.state().status).toBe("finished");
+        expect(env.x.elements).toEqual([1, 2]);
+    }
+
+    testStepIntoFunction() {
+        // 関数の中で止めると、呼び出し履歴と関数の変数が見える
+        const vm = new NanakoVM();
+        vm.load(new NanakoParser().parse("f = 入力 n に対し {\n    nが答え\n}\ny = f(2)\n"), {});
+        vm.runtime.start(0);
+        while (vm.state().name !== "f") {
+            vm.step();
+        }
+        const state = vm.state();
+        expect(state.line).toBe(2);
+        expect(state.callFrames.map(frame => frame.funcName)).toEqual(["f"]);
+        expect(state.env.n).toBe(2);
+        while (vm.step()) {
+            // 最後まで実行する
+        }
+        expect(vm.state().env.y).toBe(2);
+        expect(vm.runtime.callFrames).toEqual([]);
+    }
+
+    testDisassemble() {
+        const program = new NanakoParser().parse(`
+f = 入力 n に対し {
+    n回、くり返す {
+        もし n が 3 以上ならば、{
+            くり返しを抜ける
+        }
+    }
+}
+f(1)
+`);
+        const result = disassemble(program);
+        expect(result.code.split("\n")).toEqual([
+            "== (メイン) ==",
+            "   0  STMT          f = 入力 n に対し {   #(2行目)",
+            "   1  CLOSURE       <関数 f>",
+            "   2  STORE         f",
+            "   3  UPDATE        f",
+            "   4  STMT          f(1)   #(9行目)",
+            "   5  FUNC          f",
+            "   6  PUSH          1",
+            "   7  CALL          1",
+            "   8  PRINT",
+            "",
+            "== f(n) ==",
+            "   0  STMT          n回、くり返す {   #(3行目)",
+            "   1  LOAD          n",
+            "   2  LOOP          12",
+            "   3  NEXT          12",
+            "   4  STMT          もし n が 3 以上ならば、{   #(4行目)",
+            "   5  LOAD          n",
+            "   6  PUSH          3",
+            "   7  COMPARE       以上",
+            "   8  JUMP_IF_FALSE 11",
+            "   9  STMT          くり返しを抜ける   #(5行目)",
+            "  10  BREAK",
+            "  11  JUMP          3",
+            "  12  PUSH          ?",
+            "  13  RETURN"
+        ]);
+        expect(result.lines).toEqual([null, 2, 2, 2, 2, 9, 9, 9, 9, 9, null, null, 3, 3, 3, 3, 4, 4, 4, 4, 4, 5, 5, 3, 2, 2]);
+    }
+
+    testExecBytecode() {
+        const runtime = new NanakoRuntime();
+        const env = runtime.execBytecode("B = |A|\nAの末尾に1を追加する\n", { A: [5] });
+        expect(runtime.stringfyAsJson(env)).toBe('{\n    "A": [5, 1],\n    "B": 1\n}');
+        expect(() => runtime.execBytecode("?回、くり返す {\n}\n", null, 0.05)).toThrow(/タイムアウト/);
+    }
+}
+
+class TestNanakoLinter {
+    lint(code, options = {}) {
+        return new NanakoLinter(options).lint(new NanakoParser().parse(code));
+    }
+
+    rules(code, options = {}) {
+        return this.lint(code, options).map(diagnostic => `${diagnostic.line}:${diagnostic.col} ${diagnostic.rule}`);
+    }
+
+    testExamples() {
+        // 例のプログラムには、実行するとエラーになる間違いはない
+        const dir = path.join(__dirname, '..', 'examples');
+        for (const file of fs.readdirSync(dir)) {
+            const code = fs.readFileSync(path.join(dir, file), 'utf8');
+            const errors = this.lint(code).filter(diagnostic => diagnostic.severity === "error");
+            expect(errors).toEqual([]);
+        }
+    }
+
+    testUndefinedVariable() {
+        const diagnostics = this.lint(`
+x = y
+y = 1
+z = f(y)
+`);
+        expect(diagnostics.map(diagnostic => diagnostic.message)).toEqual([
+            "変数 'y' は、使う前に代入されていません",
+            "関数 'f' は、使う前に定義されていません"
+        ]);
+        expect(diagnostics[0]).toEqual({
+            rule: "undefined-variable", severity: "error", message: "変数 'y' は、使う前に代入されていません",
+            line: 2, col: 5, pos: 5, endLine: 2, endCol: 6, endPos: 6
+        });
+        // CSV・JSON から読み込む変数は、代入してあるものとする
+        expect(this.rules("x = y\n", { globals: ["y"] })).toEqual([]);
+    }
+
+    testFunctionScope() {
+        // 関数の中では、外側でどこかで代入した変数と、あとで定義する関数を使える
+        expect(this.rules(`
+f = 入力 n に対し {
+    g(n)が答え
+}
+g = 入力 n に対し {
+    nが答え
+}
+x = f(1)
+`)).toEqual([]);
+        // 呼び出した側の変数は、動的スコープのときだけ見える
+        const code = `
+読む = 入力 i に対し {
+    y[i]が答え
+}
+書く = 入力 y に対し {
+    読む(0)が答え
+}
+`;
+        expect(this.rules(code)).toEqual([]);
+        expect(this.rules(code, { scoping: "lexical" })).toEqual(["3:5 undefined-variable", "5:9 unused-parameter"]);
+    }
+
+    testWrongArity() {
+        const diagnostics = this.lint(`
+f = 入力 a, b に対し {
+    aが答え
+}
+x = f(1)
+`);
+        expect(diagnostics.map(diagnostic => `${diagnostic.line}:${diagnostic.col} ${diagnostic.rule} ${diagnostic.message}`)).toEqual([
+            "2:11 unused-parameter 引数 'b' は使われていません",
+            "5:5 wrong-arity 関数 'f' の引数は2個ですが、1個で呼び出しています"
+        ]);
+    }
+
+    testUnreachable() {
+        const diagnostics = this.lint(`
+f = 入力 n に対し {
+    もし n が 0 ならば、{
+        0が答え
+    }
+    そうでなければ、{
+        1が答え
+    }
+    nを増やす
+    nが答え
+}
+3回、くり返す {
+    くり返しを抜ける
+    x = 1
+}
+`);
+        expect(diagnostics.map(diagnostic => diagnostic.message)).toEqual([
+            "「が答え」のあとの文は実行されません",
+            "「くり返しを抜ける」のあとの文は実行されません"
+        ]);
+        // 実行されない文は、ブロックの終わりまでまとめて報告する
+        expect(diagnostics[0]).toMatchObject({ line: 9, col: 5, endLine: 10, endCol: 9 });
+    }
+
+    testBreakOutsideLoop() {
+        const diagnostics = this.lint(`
+f = 入力 n に対し {
+    くり返しを抜ける
+}
+3回、くり返す {
+    f(0)
+}
+くり返しを抜ける
+`);
+        expect(diagnostics.map(diagnostic => `${diagnostic.line} ${diagnostic.severity} ${diagnostic.message}`)).toEqual([
+            "2 warning 引数 'n' は使われていません",
+            "3 warning 関数の中のくり返しの外なので、呼び出した側のくり返しを抜けます",
+            "8 error くり返しの外では、くり返しを抜けることはできません"
+        ]);
+    }
+
+    testShadowedName() {
+        const diagnostics = this.lint(`
+合計 = 0
+A = [1, 2]
+足す = 入力 A に対し {
+    合計 = |A|
+    合計が答え
+}
+x = 足す(A)
+`);
+        expect(diagnostics.map(diagnostic => `${diagnostic.line}:${diagnostic.col} ${diagnostic.rule} ${diagnostic.message}`)).toEqual([
+            "4:9 shadowed-name 引数 'A' は、外側の変数と同じ名前です",
+            "5:5 shadowed-name 関数の中で '合計' に代入すると、外側の '合計' とは別の変数になります"
+        ]);
+    }
+}
+
+class TestNanakoTypeChecker {
+    check(code) {
+        const checker = new NanakoTypeChecker();
+        const diagnostics = checker.check(new NanakoParser().parse(code));
+        return { checker, messages: diagnostics.map(diagnostic => `${diagnostic.line}:${diagnostic.col} ${diagnostic.message}`) };
+    }
+
+    typeOf(checker, code, name) {
+        return checker.typeAt(code.lastIndexOf(name)).type;
+    }
+
+    testExamples() {
+        const dir = path.join(__dirname, '..', 'examples');
+        for (const file of fs.readdirSync(dir)) {
+            const code = fs.readFileSync(path.join(dir, file), 'utf8');
+            expect(this.check(code).messages).toEqual([]);
+        }
+    }
+
+    testMismatches() {
+        const { messages } = this.check(`
+A = [1, 2]
+Aを増やす
+x = 1
+xの末尾に 2 を追加する
+y = x(1)
+z = |x|
+w = -A
+A[A] = 1
+`);
+        expect(messages).toEqual([
+            "3:1 数じゃないよ: 'A' は [数] です",
+            "5:1 配列じゃないね？ 'x' は 数 です",
+            "6:5 関数じゃないよ: 'x' は 数 です",
+            "7:6 配列じゃないね？ 'x' は 数 です",
+            "8:6 数ではないよ: 'A' は [数] です",
+            "9:3 添え字が数ではありません: 'A' は [数] です"
+        ]);
+    }
+
+    testInference() {
+        const code = `
+長さ = 入力 B に対し {
+    |B|が答え
+}
+増やす = 入力 n に対し {
+    nを増やす
+    nが答え
+}
+s = "あいう"
+c = s[0]
+M = [[1, 2], [3]]
+k = 長さ(M)
+`;
+        const { checker, messages } = this.check(code);
+        expect(messages).toEqual([]);
+        expect(this.typeOf(checker, code, "長さ =")).toBe("関数(配列) → 数");
+        expect(this.typeOf(checker, code, "増やす =")).toBe("関数(数) → 数");
+        expect(this.typeOf(checker, code, "B に対し")).toBe("配列");
+        expect(this.typeOf(checker, code, "s =")).toBe("文字列");
+        expect(this.typeOf(checker, code, "c =")).toBe("数");
+        expect(this.typeOf(checker, code, "M =")).toBe("[[数]]");
+        expect(this.typeOf(checker, code, "k =")).toBe("数");
+        expect(checker.typeAt(code.indexOf("長さ"))).toEqual({ name: "長さ", type: "関数(配列) → 数", line: 2, col: 1, endLine: 2, endCol: 3 });
+        expect(checker.typeAt(0)).toBe(null);
+    }
+
+    testFunctionArguments() {
+        // 呼び出しごとに、関数のわからない部分の型を決める
+        const { messages } = this.check(`
+長さ = 入力 B に対し {
+    |B|が答え
+}
+a = 長さ([1])
+b = 長さ([[1]])
+c = 長さ("abc")
+d = 長さ(3)
+`);
+        expect(messages).toEqual(["8:8 関数 '長さ' の1番目の引数は 配列 ですが、数 を渡しています"]);
+    }
+
+    testBranches() {
+        // どちらを通ったかで型がちがう変数や、答えがないこともある関数は、不明として間違いにしない
+        const code = `
+x = ?
+3回、くり返す {
+    もし x が ? ならば、{
+        x = 0
+    }
+    xを増やす
+}
+探す = 入力 A に対し {
+    |A|回、くり返す {
+        0が答え
+    }
+}
+y = 探す([1])
+yを増やす
+`;
+        const { checker, messages } = this.check(code);
+        expect(messages).toEqual([]);
+        expect(this.typeOf(checker, code, "探す =")).toBe("関数(配列) → 不明");
+    }
+
+    testCallNonFunction() {
+        // 実行しても、JavaScript の TypeError ではなくななこのエラーになる
+        for (const run of ["exec", "execCompiled", "execBytecode"]) {
+            try {
+                new NanakoRuntime()[run]("f = [1]\nx = f(2)\n", {});
+                throw new Error("エラーになるはず");
+            } catch (e) {
+                expect(e.message).toBe("関数じゃないよ: ❌[1]");
+                expect(e.line).toBe(2);
+            }
+        }
+    }
+}
+
+class TestNanakoLevels {
+    diagnostics(code, level) {
+        return new NanakoParser({ level }).parseWithRecovery(code).diagnostics
+            .map(diagnostic => `${diagnostic.line}:${diagnostic.col} ${diagnostic.message}`);
+    }
+
+    testCompareWithZero() {
+        const code = `
+x = 3
+もし x が 0 以上ならば、{
+    xを減らす
+}
+もし 0 が x ならば、{
+    xを増やす
+}
+もし x が 2 ならば、{
+    xを増やす
+}
+`;
+        expect(this.diagnostics(code, null)).toEqual([]);
+        expect(this.diagnostics(code, 1)).toEqual(["9:8 このレベルでは0との比較だけ"]);
+        // parse() は最初のエラーで止まる
+        try {
+            new NanakoParser({ level: 3 }).parse(code);
+            throw new Error("エラーになるはず");
+        } catch (e) {
+            expect(e.message).toBe("このレベルでは0との比較だけ");
+            expect([e.line, e.col]).toEqual([9, 8]);
+        }
+    }
+
+    testArrays() {
+        const code = `
+A = [1, 2]
+s = "あ"
+Aの末尾に 3 を追加する
+x = A[0]
+n = |A|
+`;
+        expect(this.diagnostics(code, 1)).toEqual([
+            "2:5 このレベルでは配列は使えません",
+            "3:5 このレベルでは配列は使えません",
+            "4:1 このレベルでは配列は使えません",
+            "5:5 このレベルでは配列は使えません"
+        ]);
+        expect(this.diagnostics(code, 2)).toEqual([]);
+    }
+
+    testRecursion() {
+        const code = `
+偶数 = 入力 n に対し {
+    もし n が 0 ならば、{
+        1が答え
+    }
+    nを減らす
+    奇数(n)が答え
+}
+奇数 = 入力 n に対し {
+    もし n が 0 ならば、{
+        0が答え
+    }
+    nを減らす
+    偶数(n)が答え
+}
+数える = 入力 n に対し {
+    数える(n)が答え
+}
+x = 偶数(4)
+`;
+        expect(this.diagnostics(code, 2)).toEqual([
+            "7:5 このレベルでは再帰は使えません: '奇数' から '偶数' が呼び出されます",
+            "14:5 このレベルでは再帰は使えません: '偶数' から '奇数' が呼び出されます",
+            "17:5 このレベルでは再帰は使えません: '数える' が自分を呼び出しています"
+        ]);
+        expect(this.diagnostics(code, 3)).toEqual([]);
+    }
+
+    testCustomLevel() {
+        // フラグを書いたものだけを制限する
+        expect(this.diagnostics("A = [1]\nもし A[0] が 1 ならば、{\n}\n", { arrays: false })).toEqual([
+            "1:5 このレベルでは配列は使えません",
+            "2:4 このレベルでは配列は使えません"
+        ]);
+        expect(() => new NanakoParser({ level: 4 })).toThrow("レベル 4 はありません（1〜3）");
+    }
+
+    testRuntimeLevel() {
+        for (const run of ["exec", "execCompiled", "execBytecode"]) {
+            const runtime = new NanakoRuntime();
+            runtime.level = 1;
+            expect(() => runtime[run]("A = [1]\n", {})).toThrow("このレベルでは配列は使えません");
+            runtime.level = 2;
+            expect(runtime[run]("A = [1]\n", {}).A.elements).toEqual([1]);
+        }
+        const runtime = new NanakoRuntime();
+        runtime.level = 1;
+        expect(() => new NanakoDebugger(runtime).load("A = [1]\n")).toThrow("このレベルでは配列は使えません");
+    }
+}
+
+class TestNanakoCompletion {
+    labels(code, pos) {
+        return completionItems(code, pos).filter(item => item.kind !== "snippet").map(item => `${item.label}:${item.kind}`);
+    }
+
+    testScope() {
+        const code = `
+total = 0
+合計 = 入力 A, n に対し {
+    s = 0
+    もし n が 0ならば、{
+        k = 1
+    }
+
+    s が答え
+}
+x = 合計([1, 2], 2)
+`;
+        const inside = code.indexOf("\n\n") + 1;
+        expect(this.labels(code, inside)).toEqual([
+            "A:parameter", "n:parameter", "s:variable", "k:variable", "total:variable", "合計:function", "x:variable"
+        ]);
+        // 関数の外からは、関数の中の変数は見えない
+        expect(this.labels(code, code.length)).toEqual(["total:variable", "合計:function", "x:variable"]);
+        const func = completionItems(code, code.length).find(item => item.label === "合計");
+        expect(func.detail).toBe("入力 A, n に対し");
+        expect(func.insertText).toBe("合計(${1:A}, ${2:n})");
+    }
+
+    testIncompleteLine() {
+        // 書きかけの行は構文エラーになるが、ほかの行の名前は補完できる
+        const code = "f = 入力 a に対し {\n    b = a\n    b が答え\n}\ny = 1\nz = f(";
+        expect(this.labels(code, code.length)).toEqual(["f:function", "y:variable"]);
+        const inside = "f = 入力 a に対し {\n    b = a\n    c = \n    b が答え\n}\n";
+        expect(this.labels(inside, inside.indexOf("c = ") + 4)).toEqual(["a:parameter", "b:variable", "f:function"]);
+    }
+
+    testSnippets() {
+        const snippets = completionItems("", 0).filter(item => item.kind === "snippet");
+        expect(snippets.map(item => item.detail)).toEqual([
+            "もし … が … ならば、{ }",
+            "もし … が … ならば、{ } そうでなければ、{ }",
+            "N回、くり返す { }",
+            "入力 X, Y に対し { }"
+        ]);
+        // ひな形の $1 などを埋めると、そのまま読めるプログラムになる
+        const fill = insertText => insertText.replace(/\$\{\d+:([^}]*)\}/g, "$1").replace(/\$\d+/g, "x を増やす").replace(/\t/g, "    ");
+        for (const snippet of snippets) {
+            const code = snippet.label === "入力" ? `f = ${fill(snippet.insertText)}\n` : `x = 1\nN = 2\n${fill(snippet.insertText)}\n`;
+            expect(new NanakoParser().parseWithRecovery(code).diagnostics).toEqual([]);
+        }
+    }
+
+    testSignatureHelp() {
+        const code = 'f = 入力 a, b, c に対し {\n    a が答え\n}\n';
+        const line = 'x = f（[1, 2]、 "a,b)", f(1';
+        const help = signatureHelp(code + line, (code + line).length);
+        expect(help).toEqual({ name: "f", label: "f(a, b, c)", parameters: ["a", "b", "c"], activeParameter: 0 });
+        // 配列や文字列の中の , は数えない
+        expect(signatureHelp(code + line, (code + line).length - 4).activeParameter).toBe(2);
+        expect(signatureHelp(code + line, (code + line).indexOf("[1") + 2).activeParameter).toBe(0);
+        // 閉じた ( の外、知らない関数、コメントの中では表示しない
+        expect(signatureHelp(code + "x = f(1, 2, 3)", (code + "x = f(1, 2, 3)").length)).toBeNull();
+        expect(signatureHelp(code + "x = g(1", (code + "x = g(1").length)).toBeNull();
+        expect(signatureHelp(code + "# f(1", (code + "# f(1").length)).toBeNull();
+    }
+}
+
+class TestNanakoDebugger {
+    beforeEach() {
+        this.runtime = new NanakoRuntime();
+        this.debugger = new NanakoDebugger(this.runtime);
+        capturedOutput = [];
+    }
+
+    testStepInto() {
+        this.debugger.load(DEBUG_NANAKO);
+        let state = this.debugger.stepInto();
+        expect(state.status).toBe("paused");
+        expect(state.line).toBe(2);
+        state = this.debugger.stepInto();
+        expect(state.line).toBe(8);
+        state = this.debugger.stepInto();
+        expect(state.line).toBe(3);
+        expect(state.callFrames.map(f => f.funcName)).toEqual(["足し算"]);
+        expect(state.env.X).toBe(1);
+        expect(state.env.Y).toBe(2);
+    }
+
+    testStepOver() {
+        this.debugger.load(DEBUG_NANAKO);
+        this.debugger.stepInto();
+        let state = this.debugger.stepOver();
+        expect(state.line).toBe(8);
+        state = this.debugger.stepOver();
+        expect(state.line).toBe(9);
+        expect(state.callFrames).toHaveLength(0);
+        expect(state.env.Z).toBe(3);
+    }
+
+    testStepOut() {
+        this.debugger.load(DEBUG_NANAKO);
+        this.debugger.setBreakpoint(4);
+        let state = this.debugger.continue();
+        expect(state.line).toBe(4);
+        expect(state.env.X).toBe(1);
+        this.debugger.clearBreakpoint(4);
+        state = this.debugger.stepOut();
+        expect(state.line).toBe(9);
+        expect(state.callFrames).toHaveLength(0);
+    }
+
+    testBreakpoint() {
+        this.debugger.load(DEBUG_NANAKO);
+        this.debugger.setBreakpoint(4);
+        let state = this.debugger.continue();
+        expect(state.line).toBe(4);
+        expect(state.env.X).toBe(1);
+        state = this.debugger.continue();
+        expect(state.line).toBe(4);
+        expect(state.env.X).toBe(2);
+        this.debugger.clearBreakpoint(4);
+        state = this.debugger.continue();
+        expect(state.status).toBe("finished");
+        expect(state.env.Z).toBe(3);
+        expect(capturedOutput).toHaveLength(1);
+    }
+
+    testStepIntoIndex() {
+        this.debugger.load(`
+足し算 = 入力 X, Y に対し {
+    Y回、くり返す {
+        Xを増やす
+    }
+    Xが答え
+}
+A = [0, 0]
+A[足し算(0, 1)] = 5
+`);
+        this.debugger.setBreakpoint(4);
+        const state = this.debugger.continue();
+        expect(state.line).toBe(4);
+        expect(state.callFrames.map(f => f.funcName)).toEqual(["足し算"]);
+        expect(this.debugger.continue().status).toBe("finished");
+        expect(this.debugger.env.A.elements).toEqual([0, 5]);
+    }
+}
+
+class TestNanakoAsync {
+    beforeEach() {
+        this.runtime = new NanakoRuntime();
+        capturedOutput = [];
+    }
+
+    async testExecAsync() {
+        const env = await this.runtime.execAsync(DEBUG_NANAKO);
+        expect(env.Z).toBe(3);
+        expect(this.runtime.incrementCount).toBe(2);
+        expect(capturedOutput).toHaveLength(1);
+    }
+
+    async testStop() {
+        const promise = this.runtime.execAsync(`
+y = 0
+?回、くり返す {
+    yを増やす
+}
+`, null, 0, { chunkSize: 100 });
+        setTimeout(() => this.runtime.stop(), 20);
+        await expect(promise).rejects.toThrow(/停止/);
+    }
+
+    async testProgress() {
+        const progress = [];
+        await this.runtime.execAsync(`
+y = 0
+100回、くり返す {
+    yを増やす
+}
+`, null, 30, { chunkSize: 10, onProgress: p => progress.push(p) });
+        expect(progress).toHaveLength(10);
+        expect(progress[0].steps).toBe(10);
+        expect(progress[0].line).toBe(4);
+    }
+}
+
+const DEBUG_NANAKO = `
+足し算 = 入力 X, Y に対し {
+    Y回、くり返す {
+        Xを増やす
+    }
+    Xが答え
+}
+Z = 足し算(1, 2)
+Z
+`;
+
+const FORMAT_NANAKO = `
+x を １０ とする   # 最初の値
+
+
+# 関数
+＃ 二行目
+f = λ A、B に対して、{ # ここから
+  i=0
+      |A|回、繰り返す {
+    もしA[i]が"\\\\"以外ならば{ A[i] = |B| }
+    そうでなければ {
+    Aの末尾に [[1,2],[3]]を追加する
+        }
+   iを増やす
+ }
+
+  # 関数の終わり
+}
+>>> f([1], "あ")
+?
+# おわり
+
+`;
+
+const FORMAT_SYMBOL = `x = 10  # 最初の値
+
+# 関数
+# 二行目
+f = 入力 A, B に対し {  # ここから
+    i = 0
+    |A|回、くり返す {
+        もし A[i] が "\\\\" 以外ならば、{
+            A[i] = |B|
+        }
+        そうでなければ、{
+            Aの末尾に[
+                [1, 2],
+                [3]
+            ]を追加する
+        }
+        iを増やす
+    }
+
+    # 関数の終わり
+}
+>>> f([1], "あ")
+?
+# おわり
+`;
+
+const TRIVIA_NANAKO = `
+チェック = 入力 盤面 に対し {
+    # 8方向をチェック
+    n = 0  # 数える
+
+    ?回、くり返す {
+        # まだ何もしない
+    }
+    nが答え
+}
+
+# おわり
+`;
+
+const TRIVIA_PYTHON = `|def チェック(env):
+|    # 8方向をチェック
+|    env.n = 0  # 数える
+
+|    while True:
+|        # まだ何もしない
+|        pass
+|    return env.n
+|env.チェック = nanako.func(["盤面"], チェック)
+
+
+|# おわり`;
+
 const EMIT_NANAKO = `
 合計 = 入力 数列 に対し {
     i = 0
@@ -860,44 +2684,45 @@ const EMIT_NANAKO = `
 15
 `;
 
-const EMIT_JS = `|合計 = function (数列) {
-|    i = 0;
-|    sum = 0;
-|    buf = [];
-|    for(var i1 = 0; i1 < (数列).length; i1++) {
-|        sum = 足し算(sum, 数列[i]);
-|        if(sum > 10) {
-|            buf[0] = 数列[i];
+const EMIT_JS = `|env.合計 = nanako.func(["数列"], function (env) {
+|    env.i = 0;
+|    env.sum = 0;
+|    env.buf = nanako.array([]);
+|    for (let i1 = 0, n1 = nanako.times(nanako.len(env.数列)); i1 < n1; i1++) {
+|        env.sum = nanako.call(env, "足し算", env.sum, nanako.at(env.数列, env.i));
+|        if (nanako.compare(env.sum > 10)) {
+|            nanako.put(env.buf, 0, nanako.at(env.数列, env.i));
 |        }
 |        else {
-|            buf.push(数列[i]);
+|            nanako.put(env.buf, null, nanako.at(env.数列, env.i));
 |        }
-|        while(true) {
-|            sum = -sum;
+|        while (true) {
+|            env.sum = -env.sum;
 |        }
-|        i += 1;
+|        env.i = nanako.increment(env.i);
 |    }
-|    return sum;
-|}
-
-|console.assert(合計([1, 2, 3, 4, 5]) == 15);`;
-
-const EMIT_PYTHON = `|def 合計(数列):
-|    i = 0
-|    sum = 0
-|    buf = []
-|    for _ in range(len(数列)):
-|        sum = 足し算(sum, 数列[i])
-|        if sum > 10:
-|            buf[0] = 数列[i]
+|    return env.sum;
+|});
+
+|nanako.test(nanako.call(env, "合計", nanako.array([1, 2, 3, 4, 5])), 15);`;
+
+const EMIT_PYTHON = `|def 合計(env):
+|    env.i = 0
+|    env.sum = 0
+|    env.buf = nanako.array([])
+|    for _ in nanako.loop(nanako.len(env.数列)):
+|        env.sum = nanako.call(env, "足し算", env.sum, nanako.at(env.数列, env.i))
+|        if nanako.compare(env.sum, ">", 10):
+|            nanako.put(env.buf, 0, nanako.at(env.数列, env.i))
 |        else:
-|            buf.append(数列[i])
+|            nanako.put(env.buf, None, nanako.at(env.数列, env.i))
 |        while True:
-|            sum = -sum
-|        i += 1
-|    return sum
+|            env.sum = -env.sum
+|        env.i = nanako.increment(env.i)
+|    return env.sum
+|env.合計 = nanako.func(["数列"], 合計)
 
-|assert (合計([1, 2, 3, 4, 5]) == 15)`;
+|nanako.test(nanako.call(env, "合計", nanako.array([1, 2, 3, 4, 5])), 15)`;
 
 // Jest test suite setup
 describe('NanakoParser', () => {
@@ -995,6 +2820,331 @@ describe('Nanako', () => {
     test('sum function', () => testInstance.testSumFunction());
 });
 
+describe('NanakoBudget', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoBudget();
+        testInstance.beforeEach();
+    });
+
+    test('statement budget', () => testInstance.testStatementBudget());
+    test('call budget', () => testInstance.testCallBudget());
+    test('increment budget', () => testInstance.testIncrementBudget());
+    test('increment budget per run', () => testInstance.testIncrementBudgetPerRun());
+    test('within budget', () => testInstance.testWithinBudget());
+    test('recursion timeout', () => testInstance.testRecursionTimeout());
+});
+
+describe('NanakoRecursion', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoRecursion();
+        testInstance.beforeEach();
+    });
+
+    test('within depth', () => testInstance.testWithinDepth());
+    test('too deep', () => testInstance.testTooDeep());
+    test('javascript stack overflow', () => testInstance.testJavaScriptStackOverflow());
+    test('other range error', () => testInstance.testOtherRangeError());
+});
+
+describe('NanakoTraceback', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoTraceback();
+        testInstance.beforeEach();
+    });
+
+    test('index error in function', () => testInstance.testIndexErrorInFunction());
+    test('error at top level', () => testInstance.testErrorAtTopLevel());
+    test('steps path', () => testInstance.testStepsPath());
+    test('long argument', () => testInstance.testLongArgument());
+});
+
+describe('NanakoTrace', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoTrace();
+        testInstance.beforeEach();
+    });
+
+    test('bubble sort', () => testInstance.testBubbleSort());
+    test('function call', () => testInstance.testFunctionCall());
+    test('json', () => testInstance.testJSON());
+    test('limit', () => testInstance.testLimit());
+    test('debugger', () => testInstance.testDebugger());
+});
+
+describe('NanakoVisualize', () => {
+    const testInstance = new TestNanakoVisualize();
+
+    test('bars', () => testInstance.testBars());
+    test('grid', () => testInstance.testGrid());
+    test('chars', () => testInstance.testChars());
+    test('not array', () => testInstance.testNotArray());
+});
+
+describe('NanakoProfiler', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoProfiler();
+        testInstance.beforeEach();
+    });
+
+    test('lines', () => testInstance.testLines());
+    test('functions', () => testInstance.testFunctions());
+    test('recursion', () => testInstance.testRecursion());
+    test('format and json', () => testInstance.testFormatAndJSON());
+});
+
+describe('NanakoExperiment', () => {
+    const testInstance = new TestNanakoExperiment();
+
+    test('generate input', () => testInstance.testGenerateInput());
+    test('linear', () => testInstance.testLinear());
+    test('quadratic', () => testInstance.testQuadratic());
+    test('fit', () => testInstance.testFit());
+    test('unknown function', () => testInstance.testUnknownFunction());
+});
+
+describe('NanakoRecovery', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoRecovery();
+        testInstance.beforeEach();
+    });
+
+    test('multiple errors', () => testInstance.testMultipleErrors());
+    test('unclosed block', () => testInstance.testUnclosedBlock());
+    test('brace in string', () => testInstance.testBraceInString());
+    test('no errors', () => testInstance.testNoErrors());
+    test('parse still throws', () => testInstance.testParseStillThrows());
+});
+
+describe('NanakoAstJson', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoAstJson();
+        testInstance.beforeEach();
+    });
+
+    test('statement', () => testInstance.testStatement());
+    test('expressions', () => testInstance.testExpressions());
+    test('round trip', () => testInstance.testRoundTrip());
+    test('restored program runs', () => testInstance.testRestoredProgramRuns());
+    test('unknown type', () => testInstance.testUnknownType());
+});
+
+describe('NanakoFormatter', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoFormatter();
+    });
+
+    test('symbol style', () => testInstance.testSymbolStyle());
+    test('verb style', () => testInstance.testVerbStyle());
+    test('comments', () => testInstance.testComments());
+    test('idempotent', () => testInstance.testIdempotent());
+    test('unknown style', () => testInstance.testUnknownStyle());
+});
+
+describe('NanakoTrivia', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoTrivia();
+        testInstance.beforeEach();
+    });
+
+    test('emit py', () => testInstance.testEmitPy());
+    test('emit js', () => testInstance.testEmitJs());
+    test('function blank line', () => testInstance.testFunctionBlankLine());
+    test('json', () => testInstance.testJson());
+});
+
+describe('NanakoSourceMap', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoSourceMap();
+        testInstance.beforeEach();
+    });
+
+    test('js lines', () => testInstance.testJsLines());
+    test('source map', () => testInstance.testSourceMap());
+    test('py lines', () => testInstance.testPyLines());
+});
+
+describe('NanakoJavaScript', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoJavaScript();
+    });
+
+    test('examples', () => testInstance.testExamples());
+    test('string', () => testInstance.testString());
+    test('doctest', () => testInstance.testDoctest());
+    test('runtime errors', () => testInstance.testRuntimeErrors());
+    test('names', () => testInstance.testNames());
+    test('source map', () => testInstance.testSourceMap());
+});
+
+describe('NanakoPython', () => {
+    let testInstance;
+    const testPython = hasPython ? test : test.skip;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoPython();
+    });
+
+    testPython('examples', () => testInstance.testExamples());
+    testPython('functions', () => testInstance.testFunctions());
+    testPython('names', () => testInstance.testNames());
+    testPython('doctest', () => testInstance.testDoctest());
+    testPython('runtime errors', () => testInstance.testRuntimeErrors());
+    test('lines', () => testInstance.testLines());
+});
+
+describe('NanakoCompiler', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoCompiler();
+    });
+
+    test('examples', () => testInstance.testExamples());
+    test('dynamic scope', () => testInstance.testDynamicScope());
+    test('break in function', () => testInstance.testBreakInFunction());
+    test('errors', () => testInstance.testErrors());
+    test('exec compiled', () => testInstance.testExecCompiled());
+});
+
+describe('NanakoLexicalScope', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoLexicalScope();
+    });
+
+    test('closure', () => testInstance.testClosure());
+    test('caller variables', () => testInstance.testCallerVariables());
+    test('defining scope', () => testInstance.testDefiningScope());
+    test('recursion', () => testInstance.testRecursion());
+});
+
+describe('NanakoVM', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoVM();
+    });
+
+    test('examples', () => testInstance.testExamples());
+    test('dynamic scope', () => testInstance.testDynamicScope());
+    test('break in function', () => testInstance.testBreakInFunction());
+    test('errors', () => testInstance.testErrors());
+    test('trace', () => testInstance.testTrace());
+    test('step', () => testInstance.testStep());
+    test('step into function', () => testInstance.testStepIntoFunction());
+    test('disassemble', () => testInstance.testDisassemble());
+    test('exec bytecode', () => testInstance.testExecBytecode());
+});
+
+describe('NanakoLinter', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoLinter();
+    });
+
+    test('examples', () => testInstance.testExamples());
+    test('undefined variable', () => testInstance.testUndefinedVariable());
+    test('function scope', () => testInstance.testFunctionScope());
+    test('wrong arity', () => testInstance.testWrongArity());
+    test('unreachable', () => testInstance.testUnreachable());
+    test('break outside loop', () => testInstance.testBreakOutsideLoop());
+    test('shadowed name', () => testInstance.testShadowedName());
+});
+
+describe('NanakoTypeChecker', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoTypeChecker();
+    });
+
+    test('examples', () => testInstance.testExamples());
+    test('mismatches', () => testInstance.testMismatches());
+    test('inference', () => testInstance.testInference());
+    test('function arguments', () => testInstance.testFunctionArguments());
+    test('branches', () => testInstance.testBranches());
+    test('call non function', () => testInstance.testCallNonFunction());
+});
+
+describe('NanakoLevels', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoLevels();
+    });
+
+    test('compare with zero', () => testInstance.testCompareWithZero());
+    test('arrays', () => testInstance.testArrays());
+    test('recursion', () => testInstance.testRecursion());
+    test('custom level', () => testInstance.testCustomLevel());
+    test('runtime level', () => testInstance.testRuntimeLevel());
+});
+
+describe('NanakoCompletion', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoCompletion();
+    });
+
+    test('scope', () => testInstance.testScope());
+    test('incomplete line', () => testInstance.testIncompleteLine());
+    test('snippets', () => testInstance.testSnippets());
+    test('signature help', () => testInstance.testSignatureHelp());
+});
+
+describe('NanakoDebugger', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoDebugger();
+        testInstance.beforeEach();
+    });
+
+    test('step into', () => testInstance.testStepInto());
+    test('step over', () => testInstance.testStepOver());
+    test('step out', () => testInstance.testStepOut());
+    test('breakpoint', () => testInstance.testBreakpoint());
+    test('step into index', () => testInstance.testStepIntoIndex());
+});
+
+describe('NanakoAsync', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoAsync();
+        testInstance.beforeEach();
+    });
+
+    test('exec async', () => testInstance.testExecAsync());
+    test('stop', () => testInstance.testStop());
+    test('progress', () => testInstance.testProgress());
+});
+
 describe('NanakoEmitCode', () => {
     let testInstance;
     
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+// Nanako (ななこ) - Node.js CLI
+// 使用方法: node nanako_cli.js [ファイル名]
+
+const fs = require('fs');
+const readline = require('readline');
+const { NanakoRuntime, NanakoParser, NanakoError, NANAKO_VERSION, formatNanako, compileToJavaScript, compileToPython, disassemble, NanakoLinter, NanakoTypeChecker } = require('./nanako.js');
+
+const HELP = `Nanako (ななこ) version ${NANAKO_VERSION}
+
+使用方法:
+  node nanako_cli.js [ファイル名]
+
+オプション:
+  --version, -v, -V    バージョン情報を表示
+  --help, -h           このヘルプメッセージを表示
+  --profile            行ごと・関数ごとの回数を表示
+  --format             プログラムを整形して表示（実行はしない）
+  --style=verb         整形で「x を 10 とする」の書き方を使う（既定は symbol: x = 10）
+  --js                 Node で動く JavaScript に変換して表示（実行はしない）
+  --py                 python3 で動く Python に変換して表示（実行はしない）
+  --bytecode           バイトコードの命令の一覧を表示（実行はしない）
+  --vm                 バイトコードの VM で実行
+  --lexical            関数の中から見える変数を、関数を定義したところの変数にする（クロージャ）
+  --lint               よくある間違いと型の間違いを調べて表示（実行はしない。エラーがあれば終了コード 1）
+  --level=N            授業のレベル N（1〜3）で使えない書き方をエラーにする（実行と --lint）
+  --steps=N            実行する文が N 回をこえたら止める（時計によらず、どのコンピュータでも同じところで止まる）
+  --calls=N            関数呼び出しが N 回をこえたら止める
+  --increments=N       増やす・減らすが合わせて N 回をこえたら止める
+
+ファイル形式:
+  .nanako    Nanakoプログラムファイル
+  .csv       CSVデータファイル（環境変数として読み込み）
+  .json      JSONデータファイル（環境変数として読み込み）
+
+例:
+  node nanako_cli.js ../examples/01basic.nanako
+  node nanako_cli.js ../data.csv program.nanako
+  node nanako_cli.js --profile ../examples/09quicksort.nanako
+  node nanako_cli.js --format --style=verb program.nanako
+  node nanako_cli.js --js program.nanako > program.js && node --enable-source-maps program.js
+  node nanako_cli.js --py program.nanako > program.py && python3 program.py
+  node nanako_cli.js --bytecode ../examples/06sum.nanako
+  node nanako_cli.js --lint ../data.csv program.nanako
+  node nanako_cli.js --level=1 program.nanako
+  node nanako_cli.js --steps=100000 program.nanako
+  node nanako_cli.js                    # インタラクティブモード`;
+
+async function main(argv, out = console.log, err = console.error) {
+    let env = {};
+    if (argv.length > 0 && ['--version', '-v', '-V'].includes(argv[0])) {
+        out(`Nanako (ななこ) version ${NANAKO_VERSION}`);
+        return 0;
+    }
+    if (argv.length > 0 && ['--help', '-h'].includes(argv[0])) {
+        out(HELP);
+        return 0;
+    }
+
+    if (argv.includes('--format')) {
+        return formatFiles(argv, out, err);
+    }
+    if (argv.includes('--js') || argv.includes('--py') || argv.includes('--bytecode')) {
+        return compileFiles(argv, out, err);
+    }
+    const option = argv.find(arg => arg.startsWith('--level='));
+    const level = option ? Number(option.slice('--level='.length)) : null;
+    if (argv.includes('--lint')) {
+        return lintFiles(argv, out, err, level);
+    }
+
+    let budget;
+    try {
+        budget = parseBudget(argv);
+    } catch (e) {
+        err(`エラー: ${e.message}`);
+        return 1;
+    }
+    const profile = argv.includes('--profile');
+    const vm = argv.includes('--vm');
+    const lexical = argv.includes('--lexical');
+    let runInteractive = true;
+    for (const file of argv) {
+        if (file.endsWith('.json') || file.endsWith('.csv')) {
+            try {
+                const data = file.endsWith('.json') ? loadEnvFromJson(file) : readCsvAsDictOfLists(file);
+                Object.assign(env, data);
+            } catch (e) {
+                err(`エラー (${file}): ${e.message}`);
+                return 1;
+            }
+        } else if (file.endsWith('.nanako')) {
+            try {
+                const runtime = new NanakoRuntime();
+                if (lexical) {
+                    runtime.scoping = 'lexical';
+                }
+                runtime.level = level;
+                runtime.setBudget(budget);
+                if (profile) {
+                    runtime.startProfile();
+                }
+                env = runFile(file, env, runtime, vm);
+                runInteractive = false;
+                if (profile) {
+                    out(runtime.stopProfile().format() + '\n');
+                }
+            } catch (e) {
+                err(`\nエラーが発生しました: ${file}`);
+                err(e instanceof NanakoError ? formatError(e) : (e.stack || `${e}`));
+                return 1;
+            }
+        }
+    }
+
+    if (runInteractive) {
+        env = await interactiveMode(env, out);
+    }
+    if (Object.keys(env).length > 0) {
+        out(new NanakoRuntime().stringfyAsJson(env));
+    }
+    return 0;
+}
+
+function parseBudget(argv) {
+    // --steps・--calls・--increments を NanakoRuntime.setBudget() の形にする（指定がなければ 0 で無制限）
+    const budget = {};
+    for (const [option, key] of [['--steps=', 'statements'], ['--calls=', 'calls'], ['--increments=', 'increments']]) {
+        const arg = argv.find(a => a.startsWith(option));
+        if (arg !== undefined) {
+            const value = arg.slice(option.length);
+            if (!/^\d+$/.test(value)) {
+                throw new Error(`${option.slice(0, -1)} には 0 以上の整数を指定してください: ${value}`);
+            }
+            budget[key] = parseInt(value, 10);
+        }
+    }
+    return budget;
+}
+
+function formatFiles(argv, out, err) {
+    const option = argv.find(arg => arg.startsWith('--style='));
+    const style = option ? option.slice('--style='.length) : 'symbol';
+    for (const file of argv.filter(arg => arg.endsWith('.nanako'))) {
+        try {
+            const code = fs.readFileSync(file, 'utf-8');
+            out(formatNanako(code, { style }).replace(/\n$/, ''));
+        } catch (e) {
+            err(`\nエラーが発生しました: ${file}`);
+            err(e instanceof NanakoError ? formatError(e) : (e.stack || `${e}`));
+            return 1;
+        }
+    }
+    return 0;
+}
+
+function compileFiles(argv, out, err) {
+    // JavaScript にはエラーの位置を .nanako の行で表示できるように、Source Map を埋め込む
+    for (const file of argv.filter(arg => arg.endsWith('.nanako'))) {
+        try {
+            const code = fs.readFileSync(file, 'utf-8');
+            if (argv.includes('--py')) {
+                out(compileToPython(code, file).code.replace(/\n$/, ''));
+                continue;
+            }
+            if (argv.includes('--bytecode')) {
+                out(disassemble(new NanakoParser().parse(code)).code);
+                continue;
+            }
+            const result = compileToJavaScript(code, file);
+            const sourceMap = Buffer.from(JSON.stringify(result.sourceMap)).toString('base64');
+            out(`${result.code}//# sourceMappingURL=data:application/json;charset=utf-8;base64,${sourceMap}`);
+        } catch (e) {
+            err(`\nエラーが発生しました: ${file}`);
+            err(e instanceof NanakoError ? formatError(e) : (e.stack || `${e}`));
+            return 1;
+        }
+    }
+    return 0;
+}
+
+function lintFiles(argv, out, err, level = null) {
+    // 前に読み込んだ CSV・JSON の変数は、代入してあるものとして調べる
+    const scoping = argv.includes('--lexical') ? 'lexical' : 'dynamic';
+    const globals = [];
+    let failed = false;
+    for (const file of argv) {
+        try {
+            if (file.endsWith('.json') || file.endsWith('.csv')) {
+                const data = file.endsWith('.json') ? loadEnvFromJson(file) : readCsvAsDictOfLists(file);
+                globals.push(...Object.keys(data));
+            } else if (file.endsWith('.nanako')) {
+                const program = new NanakoParser({ level }).parse(fs.readFileSync(file, 'utf-8'));
+                const diagnostics = new NanakoLinter({ scoping, globals }).lint(program)
+                    .concat(new NanakoTypeChecker({ globals }).check(program))
+                    .sort((a, b) => a.pos - b.pos);
+                for (const diagnostic of diagnostics) {
+                    const severity = diagnostic.severity === 'error' ? 'エラー' : '警告';
+                    out(`${file}:${diagnostic.line}:${diagnostic.col}: ${severity}: ${diagnostic.message} [${diagnostic.rule}]`);
+                    failed = failed || diagnostic.severity === 'error';
+                }
+            }
+        } catch (e) {
+            err(`\nエラーが発生しました: ${file}`);
+            err(e instanceof NanakoError ? formatError(e) : (e.stack || `${e}`));
+            return 1;
+        }
+    }
+    return failed ? 1 : 0;
+}
+
+function formatError(error) {
+    // 行・列とエラー箇所、関数の中で起きたときは呼び出し履歴を表示する
+    const lines = [];
+    if (error.line !== undefined) {
+        lines.push(`|  行 ${error.line}, 列 ${error.col}: ${error.message}`);
+        lines.push(`|  ${error.details.lineText}`);
+        lines.push(`|  ${' '.repeat(Math.max(error.col - 1, 0))}^`);
+    } else {
+        lines.push(`|  ${error.message}`);
+    }
+    const traceback = error.formatTraceback();
+    if (traceback) {
+        for (const line of traceback.split('\n')) {
+            lines.push(`|  ${line}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function runFile(filename, env, runtime = new NanakoRuntime(), vm = false) {
+    const code = fs.readFileSync(filename, 'utf-8');
+    return vm ? runtime.execBytecode(code, env) : runtime.execCompiled(code, env);
+}
+
+async function interactiveMode(env, out) {
+    out(`Nanako (ななこ) version ${NANAKO_VERSION}`);
+    out("終了するには 'quit' または 'exit' を入力してください");
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '>>> ' });
+    rl.prompt();
+    for await (const input of rl) {
+        const code = input.trim();
+        if (['quit', 'exit'].includes(code.toLowerCase())) {
+            break;
+        }
+        const runtime = new NanakoRuntime();
+        runtime.interactiveMode = true;
+        try {
+            if (code === '') {
+                if (Object.keys(env).length > 0) {
+                    out(runtime.stringfyAsJson(env));
+                }
+            } else {
+                env = runtime.exec(code, env);
+            }
+        } catch (e) {
+            out(e instanceof NanakoError ? formatError(e) : `${e}`);
+        }
+        rl.prompt();
+    }
+    rl.close();
+    return env;
+}
+
+function loadEnvFromJson(filename) {
+    const data = JSON.parse(fs.readFileSync(filename, 'utf-8'));
+    // 真偽値は整数に変換する（文字列と配列は exec で NanakoArray になる）
+    function tryConvert(value) {
+        if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+        if (Array.isArray(value)) {
+            return value.map(tryConvert);
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, v] of Object.entries(value)) {
+                result[key] = tryConvert(v);
+            }
+            return result;
+        }
+        return value;
+    }
+    return tryConvert(data);
+}
+
+function readCsvAsDictOfLists(filename) {
+    // CSVファイルを読み込み、一行目をキー、各列の値をリストとして返す
+    const rows = fs.readFileSync(filename, 'utf-8').split(/\r?\n/).filter(row => row.trim() !== '');
+    const keys = rows[0].split(',').map(key => key.trim());
+    const result = {};
+    for (const key of keys) {
+        result[key] = [];
+    }
+    for (const row of rows.slice(1)) {
+        const cells = row.split(',');
+        keys.forEach((key, i) => {
+            const cell = (cells[i] || '').trim();
+            result[key].push(/^-?\d+$/.test(cell) ? parseInt(cell, 10) : cell);
+        });
+    }
+    return result;
+}
+
+module.exports = { main, formatError, runFile, loadEnvFromJson, readCsvAsDictOfLists };
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,225 @@
+// Nanako (ななこ) CLI Jest Test Suite
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { main, formatError, loadEnvFromJson, readCsvAsDictOfLists } = require('./nanako_cli.js');
+const { NanakoRuntime } = require('./nanako.js');
+
+class TestNanakoCli {
+    beforeEach() {
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nanako-cli-'));
+        this.out = [];
+        this.err = [];
+    }
+
+    afterEach() {
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+
+    writeFile(name, content) {
+        const filename = path.join(this.dir, name);
+        fs.writeFileSync(filename, content);
+        return filename;
+    }
+
+    run(...argv) {
+        return main(argv, line => this.out.push(line), line => this.err.push(line));
+    }
+
+    async testRunFile() {
+        const filename = this.writeFile('prog.nanako', 'x = 1\nxを増やす\n');
+        expect(await this.run(filename)).toBe(0);
+        expect(this.out.join('\n')).toBe('{\n    "x": 2\n}');
+    }
+
+    async testRunWithData() {
+        const csv = this.writeFile('data.csv', 'A,B\n1,2\n3,4\n');
+        const json = this.writeFile('data.json', '{"s": "AB", "t": true}');
+        const filename = this.writeFile('prog.nanako', 'n = |A|\n');
+        expect(await this.run(csv, json, filename)).toBe(0);
+        const output = this.out.join('\n');
+        expect(output).toContain('"A": [1, 3]');
+        expect(output).toContain('"s": "AB"');
+        expect(output).toContain('"t": 1');
+        expect(output).toContain('"n": 2');
+    }
+
+    async testProfile() {
+        const filename = this.writeFile('prog.nanako', 'x = 1\nxを増やす\n');
+        expect(await this.run('--profile', filename)).toBe(0);
+        expect(this.out[0]).toContain('=== 関数ごとの回数 ===');
+        expect(this.out[0]).toMatch(/\n2 +1 +1 +0 +0 +xを増やす/);
+        expect(this.out[1]).toBe('{\n    "x": 2\n}');
+    }
+
+    async testFormat() {
+        const filename = this.writeFile('prog.nanako', 'x＝１  # 最初\nもしxが1ならば{ xを増やす }\n');
+        expect(await this.run('--format', filename)).toBe(0);
+        expect(this.out).toEqual(['x = 1  # 最初\nもし x が 1ならば、{\n    xを増やす\n}']);
+        this.out = [];
+        expect(await this.run('--format', '--style=verb', filename)).toBe(0);
+        expect(this.out[0]).toMatch(/^x を 1 とする  # 最初\n/);
+    }
+
+    async testCompileJs() {
+        const filename = this.writeFile('prog.nanako', 'A = [1, 2]\nA[0]\nAを増やす\n');
+        expect(await this.run('--js', filename)).toBe(0);
+        const script = this.writeFile('prog.js', this.out.join('\n'));
+        // Source Map でエラーの位置が .nanako の行になる
+        const result = spawnSync(process.execPath, ['--enable-source-maps', script], { encoding: 'utf8', timeout: 10000 });
+        expect(result.status).toBe(1);
+        expect(result.stdout).toBe('>>> A[0]   #(2行目)\n1\n');
+        expect(result.stderr).toContain('数じゃないよ: ❌[1, 2]');
+        expect(result.stderr).toContain(`${filename}:3:1`);
+    }
+
+    async testCompilePy() {
+        const filename = this.writeFile('prog.nanako', 'A = [1, 2]\nA[0]\nAの末尾に3を追加する\n');
+        expect(await this.run('--py', filename)).toBe(0);
+        const script = this.writeFile('prog.py', this.out.join('\n'));
+        const result = spawnSync('python3', [script], { encoding: 'utf8', timeout: 10000 });
+        if (result.error) {
+            return; // python3 がない
+        }
+        expect(result.stdout).toBe('>>> A[0]   #(2行目)\n1\n{\n    "A": [1, 2, 3]\n}\n');
+    }
+
+    async testBytecode() {
+        const filename = this.writeFile('prog.nanako', 'x = 1\nxを増やす\n');
+        expect(await this.run('--bytecode', filename)).toBe(0);
+        expect(this.out[0].split('\n')).toEqual([
+            '== (メイン) ==',
+            '   0  STMT          x = 1   #(1行目)',
+            '   1  PUSH          1',
+            '   2  STORE         x',
+            '   3  UPDATE        x',
+            '   4  STMT          xを増やす   #(2行目)',
+            '   5  LOAD          x',
+            '   6  INC           +1',
+            '   7  STORE         x',
+            '   8  COUNT         increments',
+            '   9  UPDATE        x'
+        ]);
+        this.out = [];
+        expect(await this.run('--vm', filename)).toBe(0);
+        expect(this.out.join('\n')).toBe('{\n    "x": 2\n}');
+    }
+
+    async testLexical() {
+        // 呼び出した側の y は見えない
+        const filename = this.writeFile('prog.nanako', 'f = 入力 a に対し {\n    yが答え\n}\ny = 1\ng = 入力 y に対し {\n    f(0)が答え\n}\nx = g(2)\n');
+        expect(await this.run(filename)).toBe(0);
+        expect(this.out[0]).toContain('"x": 2');
+        this.out = [];
+        expect(await this.run('--lexical', filename)).toBe(0);
+        expect(this.out[0]).toContain('"x": 1');
+    }
+
+    async testLint() {
+        const filename = this.writeFile('prog.nanako', 'x = y\nf = 入力 a, b に対し {\n    aが答え\n}\nz = f(1)\nw = 1\nwの末尾に 1 を追加する\n');
+        expect(await this.run('--lint', filename)).toBe(1);
+        expect(this.out).toEqual([
+            `${filename}:1:5: エラー: 変数 'y' は、使う前に代入されていません [undefined-variable]`,
+            `${filename}:2:11: 警告: 引数 'b' は使われていません [unused-parameter]`,
+            `${filename}:5:5: エラー: 関数 'f' の引数は2個ですが、1個で呼び出しています [wrong-arity]`,
+            `${filename}:7:1: エラー: 配列じゃないね？ 'w' は 数 です [type-mismatch]`
+        ]);
+        // 前に読み込んだデータの変数は、代入してあるものとする
+        this.out = [];
+        const data = this.writeFile('data.json', '{"y": 1}');
+        const good = this.writeFile('good.nanako', 'x = y\n');
+        expect(await this.run('--lint', data, good)).toBe(0);
+        expect(this.out).toEqual([]);
+    }
+
+    async testLevel() {
+        const filename = this.writeFile('prog.nanako', 'x = 2\nもし x が 1 ならば、{\n    xを増やす\n}\n');
+        expect(await this.run('--level=1', filename)).toBe(1);
+        expect(this.err[1].split('\n')[0]).toBe('|  行 2, 列 8: このレベルでは0との比較だけ');
+        this.out = [];
+        expect(await this.run(filename)).toBe(0);
+        expect(this.out[0]).toContain('"x": 2');
+    }
+
+    async testBudget() {
+        const filename = this.writeFile('loop.nanako', 'x = 0\n?回、くり返す {\n    xを増やす\n}\n');
+        expect(await this.run('--steps=100', filename)).toBe(1);
+        expect(this.err[1].split('\n')[0]).toBe('|  行 3, 列 5: 実行ステップ数の上限(100回)に達しました');
+        this.err = [];
+        expect(await this.run('--increments=5', '--vm', filename)).toBe(1);
+        expect(this.err[1].split('\n')[0]).toBe('|  行 3, 列 5: 増やす・減らすの回数の上限(5回)に達しました');
+        this.err = [];
+        expect(await this.run('--steps=abc', filename)).toBe(1);
+        expect(this.err).toEqual(['エラー: --steps には 0 以上の整数を指定してください: abc']);
+    }
+
+    async testTraceback() {
+        const filename = this.writeFile('error.nanako', `
+セル取得 = 入力 盤面, y, x に対し {
+    盤面[y][x]が答え
+}
+A = [[1, 2], [3, 4]]
+S = セル取得(A, 3, 0)
+`);
+        expect(await this.run(filename)).toBe(1);
+        expect(this.err[0]).toBe(`\nエラーが発生しました: ${filename}`);
+        expect(this.err[1].split('\n')).toEqual([
+            '|  行 3, 列 8: 配列の添え字は0から1の間ですよ: ❌3',
+            '|      盤面[y][x]が答え',
+            '|         ^',
+            '|  呼び出し履歴（新しい順）:',
+            '|    セル取得([[1, 2], [3, 4]], 3, 0)   #(6行目)'
+        ]);
+    }
+
+    testFormatSyntaxError() {
+        let error = null;
+        try {
+            new NanakoRuntime().exec('x = ');
+        } catch (e) {
+            error = e;
+        }
+        expect(formatError(error)).toMatch(/^\|  行 1, 列 \d+: /);
+    }
+
+    testLoadData() {
+        const json = this.writeFile('data.json', '{"a": [false, true], "b": {"c": 1}}');
+        expect(loadEnvFromJson(json)).toEqual({ a: [0, 1], b: { c: 1 } });
+        const csv = this.writeFile('data.csv', 'name,age\nななこ,7\n');
+        expect(readCsvAsDictOfLists(csv)).toEqual({ name: ['ななこ'], age: [7] });
+    }
+
+    async testVersion() {
+        expect(await this.run('--version')).toBe(0);
+        expect(this.out[0]).toMatch(/^Nanako \(ななこ\) version /);
+    }
+}
+
+describe('NanakoCli', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoCli();
+        testInstance.beforeEach();
+    });
+
+    afterEach(() => testInstance.afterEach());
+
+    test('run file', () => testInstance.testRunFile());
+    test('run with data', () => testInstance.testRunWithData());
+    test('profile', () => testInstance.testProfile());
+    test('format', () => testInstance.testFormat());
+    test('compile js', () => testInstance.testCompileJs());
+    test('compile py', () => testInstance.testCompilePy());
+    test('bytecode', () => testInstance.testBytecode());
+    test('lexical', () => testInstance.testLexical());
+    test('lint', () => testInstance.testLint());
+    test('level', () => testInstance.testLevel());
+    test('budget', () => testInstance.testBudget());
+    test('traceback', () => testInstance.testTraceback());
+    test('format syntax error', () => testInstance.testFormatSyntaxError());
+    test('load data', () => testInstance.testLoadData());
+    test('version', () => testInstance.testVersion());
+});
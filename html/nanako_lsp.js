@@ -0,0 +1,620 @@
+#!/usr/bin/env node
+// Nanako (ななこ) - Language Server Protocol サーバー
+// 使用方法: node nanako_lsp.js（標準入出力で LSP のメッセージをやりとりする）
+
+const {
+    NanakoParser, NanakoLinter, NanakoTypeChecker, NANAKO_VERSION, assignedNames, parameterRange,
+    AssignmentNode, IncrementNode, DecrementNode, AppendNode, IfNode, LoopNode, ReturnNode,
+    ExpressionStatementNode, TestNode, VariableNode, FuncCallNode, FunctionNode, LenNode, MinusNode,
+    ArrayNode, NumberNode, StringNode
+} = require('./nanako.js');
+
+// semanticTokens の種類（トークンの数値は、この配列の番号）
+const TOKEN_TYPES = ['keyword', 'operator', 'function', 'variable', 'parameter', 'string', 'number', 'comment'];
+const TOKEN_MODIFIERS = ['declaration'];
+
+// 長いものから順にくらべる（くり返しを抜ける を くり返す より先に）
+const KEYWORDS = [
+    'くり返しを抜ける', '繰り返しを抜ける', 'そうでなければ', 'くり返す', '繰り返す', 'の末尾に', '追加する',
+    'を増やす', 'を減らす', 'に対し', 'が答え', 'ならば', 'とする', '>>>', 'もし', '入力', 'λ', '回', 'を', 'が'
+];
+const COMPARE_WORDS = ['より大きい', 'より小さい', '以上', '以下', '以外', '未満'];
+
+const SYMBOL_KINDS = { function: 12, variable: 13, parameter: 13 };
+const SEVERITIES = { error: 1, warning: 2 };
+
+// JSON-RPC のエラーコード
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const REQUEST_FAILED = -32803;
+
+class LspError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Content-Length のヘッダーをつけて、ストリームで JSON-RPC のメッセージをやりとりする
+class LspConnection {
+    constructor(input, output) {
+        this.output = output;
+        this.buffer = Buffer.alloc(0);
+        this.onMessage = null;
+        this.onClose = null;
+        input.on('data', chunk => this.receive(chunk));
+        input.on('end', () => {
+            if (this.onClose) {
+                this.onClose();
+            }
+        });
+    }
+
+    receive(chunk) {
+        // ひとつのメッセージが何回かに分かれて届くことも、まとめて届くこともある
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (true) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+            const header = this.buffer.slice(0, headerEnd).toString('ascii');
+            const match = header.match(/Content-Length: *(\d+)/i);
+            if (match === null) {
+                // ヘッダーが壊れているときは、そこまで読み捨てる
+                this.buffer = this.buffer.slice(headerEnd + 4);
+                continue;
+            }
+            const length = parseInt(match[1], 10);
+            if (this.buffer.length < headerEnd + 4 + length) {
+                return;
+            }
+            const body = this.buffer.slice(headerEnd + 4, headerEnd + 4 + length).toString('utf8');
+            this.buffer = this.buffer.slice(headerEnd + 4 + length);
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (e) {
+                // 本文が JSON として読めないときは、どのリクエストかわからないので id は null で返し、次を読む
+                this.send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: `JSON として読めません: ${e.message}` } });
+                continue;
+            }
+            if (this.onMessage) {
+                this.onMessage(message);
+            }
+        }
+    }
+
+    send(message) {
+        const body = JSON.stringify(message);
+        this.output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+    }
+}
+
+// ひとつの .nanako ファイルを解析して、名前の出てくる場所と、その名前が指す変数・関数をまとめる
+// 関数の中の名前は、引数と関数の中で代入した変数なら関数の変数、そうでなければ外側の変数とする
+class NanakoDocument {
+    constructor(uri, text, version, options = {}) {
+        this.uri = uri;
+        this.text = text;
+        this.version = version;
+        this.options = options;
+        this.lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') {
+                this.lineStarts.push(i + 1);
+            }
+        }
+        const { program, diagnostics } = new NanakoParser({ level: options.level }).parseWithRecovery(text);
+        this.program = program;
+        this.parseErrors = diagnostics;
+        this.occurrences = []; // { name, pos, endPos, symbol, definition }
+        this.literals = []; // 数と文字列 { pos, endPos, type }
+        this.functionScopes = new Map(); // FunctionNode -> 関数の中の名前
+        this.root = this.scope(null, program.statements.reduce((names, statement) => assignedNames(statement, names), new Set()));
+        this.statements(program.statements, this.root);
+        this.occurrences.sort((a, b) => a.pos - b.pos);
+        this.checker = null;
+    }
+
+    // 位置の変換（LSP の character は UTF-16 の単位なので、JavaScript の文字列の位置と同じ）
+    positionAt(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return { line: low, character: offset - this.lineStarts[low] };
+    }
+
+    offsetAt(position) {
+        const line = Math.min(Math.max(position.line, 0), this.lineStarts.length - 1);
+        return Math.min(this.lineStarts[line] + position.character, this.text.length);
+    }
+
+    range(pos, endPos) {
+        return { start: this.positionAt(pos), end: this.positionAt(endPos) };
+    }
+
+    location(occurrence) {
+        return { uri: this.uri, range: this.range(occurrence.pos, occurrence.endPos) };
+    }
+
+    // 名前の解決
+    scope(parent, names) {
+        return { parent, names, symbols: new Map() };
+    }
+
+    resolve(name, scope) {
+        let s = scope;
+        while (s.parent !== null && !s.names.has(name)) {
+            s = s.parent;
+        }
+        if (!s.symbols.has(name)) {
+            s.symbols.set(name, { name, kind: 'variable', definitions: [], references: [], node: null, func: null, called: false });
+        }
+        return s.symbols.get(name);
+    }
+
+    occurrence(name, pos, scope, definition = false) {
+        const symbol = this.resolve(name, scope);
+        const occurrence = { name, pos, endPos: pos + name.length, symbol, definition };
+        (definition ? symbol.definitions : symbol.references).push(occurrence);
+        this.occurrences.push(occurrence);
+        return symbol;
+    }
+
+    statements(statements, scope) {
+        for (const statement of statements) {
+            this.statement(statement, scope);
+        }
+    }
+
+    statement(node, scope) {
+        if (node instanceof AssignmentNode) {
+            this.expression(node.expression, scope);
+            if (node.variable.indices !== null && node.variable.indices.length > 0) {
+                this.expression(node.variable, scope);
+                return;
+            }
+            const symbol = this.occurrence(node.variable.name, node.variable.pos, scope, true);
+            if (symbol.node === null) {
+                symbol.node = node;
+            }
+            if (node.expression instanceof FunctionNode && symbol.func === null && symbol.kind !== 'parameter') {
+                symbol.kind = 'function';
+                symbol.func = node.expression;
+            }
+        } else if (node instanceof IncrementNode || node instanceof DecrementNode) {
+            this.expression(node.variable, scope);
+        } else if (node instanceof AppendNode) {
+            this.expression(node.variable, scope);
+            this.expression(node.expression, scope);
+        } else if (node instanceof IfNode) {
+            this.expression(node.left, scope);
+            this.expression(node.right, scope);
+            this.statements(node.thenBlock.statements, scope);
+            if (node.elseBlock) {
+                this.statements(node.elseBlock.statements, scope);
+            }
+        } else if (node instanceof LoopNode) {
+            this.expression(node.count, scope);
+            this.statements(node.body.statements, scope);
+        } else if (node instanceof ReturnNode || node instanceof ExpressionStatementNode) {
+            this.expression(node.expression, scope);
+        } else if (node instanceof TestNode) {
+            this.expression(node.expression, scope);
+            this.expression(node.answer, scope);
+        }
+    }
+
+    expression(node, scope) {
+        if (node instanceof VariableNode) {
+            this.occurrence(node.name, node.pos, scope);
+            for (const index of node.indices || []) {
+                this.expression(index, scope);
+            }
+        } else if (node instanceof FuncCallNode) {
+            this.occurrence(node.name, node.pos, scope).called = true;
+            for (const argument of node.arguments) {
+                this.expression(argument, scope);
+            }
+        } else if (node instanceof FunctionNode) {
+            const inner = this.scope(scope, assignedNames(node.body, new Set(node.parameters)));
+            this.functionScopes.set(node, inner);
+            for (const parameter of node.parameters) {
+                const range = parameterRange(node, parameter);
+                const symbol = this.occurrence(parameter, range.pos, inner, true);
+                symbol.kind = 'parameter';
+                symbol.node = range;
+            }
+            this.statements(node.body.statements, inner);
+        } else if (node instanceof LenNode || node instanceof MinusNode) {
+            this.expression(node.element, scope);
+        } else if (node instanceof ArrayNode) {
+            for (const element of node.elements) {
+                this.expression(element, scope);
+            }
+        } else if (node instanceof NumberNode || node instanceof StringNode) {
+            this.literals.push({ pos: node.pos, endPos: node.endPos, type: node instanceof NumberNode ? 'number' : 'string' });
+        }
+    }
+
+    occurrenceAt(offset) {
+        // カーソルが名前の直後にあるときも、その名前とする
+        const inside = this.occurrences.find(occurrence => occurrence.pos <= offset && offset < occurrence.endPos);
+        return inside || this.occurrences.find(occurrence => occurrence.endPos === offset) || null;
+    }
+
+    typeAt(pos) {
+        // 型は、構文エラーがないときだけ推論する
+        if (this.parseErrors.length > 0) {
+            return null;
+        }
+        if (this.checker === null) {
+            this.checker = new NanakoTypeChecker();
+            this.checker.check(this.program);
+        }
+        const found = this.checker.typeAt(pos);
+        return found === null ? null : found.type;
+    }
+
+    diagnostics() {
+        // 構文エラーがあるときは、読み飛ばした文のせいでまちがった警告になるので、構文エラーだけにする
+        if (this.parseErrors.length > 0) {
+            return this.parseErrors.map(error => ({
+                range: {
+                    start: { line: error.line - 1, character: error.col - 1 },
+                    end: { line: error.line - 1, character: Math.max(error.endCol, error.col + 1) - 1 }
+                },
+                severity: SEVERITIES.error,
+                source: 'nanako',
+                message: error.message
+            }));
+        }
+        const diagnostics = new NanakoLinter({ scoping: this.options.scoping }).lint(this.program)
+            .concat(new NanakoTypeChecker().check(this.program))
+            .sort((a, b) => a.pos - b.pos);
+        return diagnostics.map(diagnostic => ({
+            range: {
+                start: { line: diagnostic.line - 1, character: diagnostic.col - 1 },
+                end: { line: diagnostic.endLine - 1, character: diagnostic.endCol - 1 }
+            },
+            severity: SEVERITIES[diagnostic.severity],
+            source: 'nanako',
+            code: diagnostic.rule,
+            message: diagnostic.message
+        }));
+    }
+
+    documentSymbols(scope = this.root) {
+        const symbols = [...scope.symbols.values()].filter(symbol => symbol.definitions.length > 0);
+        symbols.sort((a, b) => a.definitions[0].pos - b.definitions[0].pos);
+        return symbols.map(symbol => {
+            const selection = this.location(symbol.definitions[0]).range;
+            const result = {
+                name: symbol.name,
+                detail: symbol.func ? `入力 ${symbol.func.parameters.join(', ')} に対し` : '',
+                kind: SYMBOL_KINDS[symbol.kind],
+                range: symbol.node && symbol.node.endPos !== undefined ? this.range(symbol.node.pos, symbol.node.endPos) : selection,
+                selectionRange: selection
+            };
+            if (symbol.func) {
+                result.children = this.documentSymbols(this.functionScopes.get(symbol.func));
+            }
+            return result;
+        });
+    }
+
+    hover(occurrence) {
+        const symbol = occurrence.symbol;
+        const type = this.typeAt(occurrence.pos);
+        const lines = [];
+        if (symbol.kind === 'function') {
+            lines.push('```nanako', `${symbol.name} = 入力 ${symbol.func.parameters.join(', ')} に対し`, '```');
+        } else {
+            lines.push(`${symbol.kind === 'parameter' ? '引数' : '変数'} \`${symbol.name}\``);
+        }
+        if (type !== null) {
+            lines.push('', `型: \`${type}\``);
+        }
+        return lines.join('\n');
+    }
+
+    semanticTokens() {
+        // 名前と数・文字列は AST から、キーワードとコメントはソースから探す（名前の中のキーワードは除く）
+        const tokens = [];
+        const covered = new Uint8Array(this.text.length);
+        const add = (pos, length, type, modifiers = 0) => {
+            tokens.push({ pos, length, type: TOKEN_TYPES.indexOf(type), modifiers });
+            covered.fill(1, pos, pos + length);
+        };
+        for (const occurrence of this.occurrences) {
+            const type = occurrence.symbol.kind === 'variable' && occurrence.symbol.called ? 'function' : occurrence.symbol.kind;
+            add(occurrence.pos, occurrence.endPos - occurrence.pos, type, occurrence.definition ? 1 : 0);
+        }
+        for (const literal of this.literals) {
+            add(literal.pos, literal.endPos - literal.pos, literal.type);
+        }
+        const free = (pos, length) => covered.subarray(pos, pos + length).every(value => value === 0);
+        let i = 0;
+        while (i < this.text.length) {
+            const c = this.text[i];
+            if (covered[i]) {
+                i++;
+            } else if (c === '#' || c === '＃') {
+                const eol = this.text.indexOf('\n', i);
+                const end = eol === -1 ? this.text.length : eol;
+                add(i, end - i, 'comment');
+                i = end;
+            } else if (c === '"') {
+                // AST にない文字列（構文エラーの行）の中のキーワードは飛ばす
+                let end = i + 1;
+                while (end < this.text.length && this.text[end] !== '"' && this.text[end] !== '\n') {
+                    end += this.text[end] === '\\' ? 2 : 1;
+                }
+                i = end + 1;
+            } else {
+                const keyword = KEYWORDS.find(word => this.text.startsWith(word, i) && free(i, word.length));
+                const operator = COMPARE_WORDS.find(word => this.text.startsWith(word, i) && free(i, word.length));
+                const word = keyword || operator;
+                if (word) {
+                    add(i, word.length, keyword ? 'keyword' : 'operator');
+                    i += word.length;
+                } else {
+                    i++;
+                }
+            }
+        }
+        tokens.sort((a, b) => a.pos - b.pos);
+        const data = [];
+        let line = 0;
+        let character = 0;
+        for (const token of tokens) {
+            const position = this.positionAt(token.pos);
+            data.push(position.line - line, position.line === line ? position.character - character : position.character,
+                token.length, token.type, token.modifiers);
+            line = position.line;
+            character = position.character;
+        }
+        return data;
+    }
+}
+
+// LSP のメソッドと、NanakoLanguageServer のメソッドの対応
+const LSP_METHODS = new Map([
+    ['initialize', 'initialize'],
+    ['initialized', 'initialized'],
+    ['shutdown', 'shutdown'],
+    ['exit', 'exit'],
+    ['textDocument/didOpen', 'didOpen'],
+    ['textDocument/didChange', 'didChange'],
+    ['textDocument/didClose', 'didClose'],
+    ['textDocument/definition', 'definition'],
+    ['textDocument/references', 'references'],
+    ['textDocument/prepareRename', 'prepareRename'],
+    ['textDocument/rename', 'rename'],
+    ['textDocument/hover', 'hover'],
+    ['textDocument/documentSymbol', 'documentSymbol'],
+    ['textDocument/semanticTokens/full', 'semanticTokens']
+]);
+
+class NanakoLanguageServer {
+    constructor(send) {
+        this.send = send;
+        this.documents = new Map();
+        this.options = {}; // initializationOptions の scoping と level
+        this.isShutdown = false;
+        this.onExit = null;
+    }
+
+    handle(message) {
+        // id があるものはリクエストで、結果かエラーを返す。id がないものは通知
+        const name = LSP_METHODS.get(message.method);
+        const isRequest = message.id !== undefined && message.id !== null;
+        if (message.method === undefined) {
+            return;
+        }
+        if (!isRequest) {
+            // 通知には返事ができないので、失敗はエディタのログに出す（サーバーは止めない）
+            try {
+                if (name !== undefined) {
+                    this[name](message.params || {});
+                }
+            } catch (e) {
+                this.log(`${message.method} に失敗しました: ${e.message}`);
+            }
+            return;
+        }
+        try {
+            if (name === undefined) {
+                throw new LspError(METHOD_NOT_FOUND, `${message.method} には対応していません`);
+            }
+            const result = this[name](message.params || {});
+            this.send({ jsonrpc: '2.0', id: message.id, result: result === undefined ? null : result });
+        } catch (e) {
+            this.send({ jsonrpc: '2.0', id: message.id, error: { code: e.code || REQUEST_FAILED, message: e.message } });
+        }
+    }
+
+    log(message) {
+        this.send({ jsonrpc: '2.0', method: 'window/logMessage', params: { type: 1, message } }); // 1: Error
+    }
+
+    initialize(params) {
+        const options = params.initializationOptions || {};
+        try {
+            // レベルがまちがっていると、ファイルを開くたびに失敗するので、ここで知らせる
+            new NanakoParser({ level: options.level });
+        } catch (e) {
+            throw new LspError(INVALID_PARAMS, e.message);
+        }
+        this.options = options;
+        return {
+            capabilities: {
+                textDocumentSync: 1, // Full
+                definitionProvider: true,
+                referencesProvider: true,
+                renameProvider: { prepareProvider: true },
+                hoverProvider: true,
+                documentSymbolProvider: true,
+                semanticTokensProvider: {
+                    legend: { tokenTypes: TOKEN_TYPES, tokenModifiers: TOKEN_MODIFIERS },
+                    full: true
+                }
+            },
+            serverInfo: { name: 'nanako-lsp', version: NANAKO_VERSION }
+        };
+    }
+
+    initialized() {}
+
+    shutdown() {
+        this.isShutdown = true;
+        return null;
+    }
+
+    exit() {
+        if (this.onExit) {
+            this.onExit(this.isShutdown ? 0 : 1);
+        }
+    }
+
+    didOpen(params) {
+        const { uri, text, version } = params.textDocument;
+        this.update(uri, text, version);
+    }
+
+    didChange(params) {
+        // textDocumentSync が Full なので、最後の変更がファイル全体
+        const changes = params.contentChanges;
+        this.update(params.textDocument.uri, changes[changes.length - 1].text, params.textDocument.version);
+    }
+
+    didClose(params) {
+        this.documents.delete(params.textDocument.uri);
+        this.send({ jsonrpc: '2.0', method: 'textDocument/publishDiagnostics', params: { uri: params.textDocument.uri, diagnostics: [] } });
+    }
+
+    update(uri, text, version) {
+        const document = new NanakoDocument(uri, text, version, this.options);
+        this.documents.set(uri, document);
+        this.send({
+            jsonrpc: '2.0',
+            method: 'textDocument/publishDiagnostics',
+            params: { uri, version, diagnostics: document.diagnostics() }
+        });
+    }
+
+    document(params) {
+        const document = this.documents.get(params.textDocument.uri);
+        if (document === undefined) {
+            throw new LspError(INVALID_PARAMS, `開いていないファイルです: ${params.textDocument.uri}`);
+        }
+        return document;
+    }
+
+    find(params) {
+        const document = this.document(params);
+        return { document, occurrence: document.occurrenceAt(document.offsetAt(params.position)) };
+    }
+
+    definition(params) {
+        const { document, occurrence } = this.find(params);
+        if (occurrence === null || occurrence.symbol.definitions.length === 0) {
+            return null;
+        }
+        return document.location(occurrence.symbol.definitions[0]);
+    }
+
+    references(params) {
+        const { document, occurrence } = this.find(params);
+        if (occurrence === null) {
+            return [];
+        }
+        const symbol = occurrence.symbol;
+        const includeDeclaration = !params.context || params.context.includeDeclaration !== false;
+        return symbol.definitions.filter(() => includeDeclaration).concat(symbol.references)
+            .sort((a, b) => a.pos - b.pos)
+            .map(found => document.location(found));
+    }
+
+    prepareRename(params) {
+        const { document, occurrence } = this.find(params);
+        if (occurrence === null) {
+            return null;
+        }
+        return { range: document.range(occurrence.pos, occurrence.endPos), placeholder: occurrence.name };
+    }
+
+    rename(params) {
+        const { document, occurrence } = this.find(params);
+        if (occurrence === null) {
+            return null;
+        }
+        if (!isName(params.newName)) {
+            throw new LspError(REQUEST_FAILED, `'${params.newName}' は変数の名前にできません`);
+        }
+        const symbol = occurrence.symbol;
+        const edits = symbol.definitions.concat(symbol.references)
+            .sort((a, b) => a.pos - b.pos)
+            .map(found => ({ range: document.range(found.pos, found.endPos), newText: params.newName }));
+        return { changes: { [document.uri]: edits } };
+    }
+
+    hover(params) {
+        const { document, occurrence } = this.find(params);
+        if (occurrence === null) {
+            return null;
+        }
+        return {
+            contents: { kind: 'markdown', value: document.hover(occurrence) },
+            range: document.range(occurrence.pos, occurrence.endPos)
+        };
+    }
+
+    documentSymbol(params) {
+        return this.document(params).documentSymbols();
+    }
+
+    semanticTokens(params) {
+        return { data: this.document(params).semanticTokens() };
+    }
+}
+
+function isName(name) {
+    // 代入の左辺にも、値を読む式にも、そのまま同じ名前として読めるものだけを使う
+    // （左辺は記号もふくめて名前にするが、式では x1y や aを は別の読み方になる）
+    try {
+        const program = new NanakoParser().parse(`${name} = 0\ny = ${name}\n`);
+        const [assignment, read] = program.statements;
+        return program.statements.length === 2 && assignment instanceof AssignmentNode &&
+            assignment.variable.name === name && assignment.variable.indices === null &&
+            read instanceof AssignmentNode && read.expression instanceof VariableNode &&
+            read.expression.name === name && read.expression.indices === null &&
+            read.expression.endPos === read.endPos;
+    } catch (e) {
+        return false;
+    }
+}
+
+function startServer(input = process.stdin, output = process.stdout) {
+    const connection = new LspConnection(input, output);
+    const server = new NanakoLanguageServer(message => connection.send(message));
+    connection.onMessage = message => server.handle(message);
+    return { connection, server };
+}
+
+module.exports = { LspConnection, NanakoDocument, NanakoLanguageServer, startServer, TOKEN_TYPES, TOKEN_MODIFIERS };
+
+if (require.main === module) {
+    const { connection, server } = startServer();
+    server.onExit = code => process.exit(code);
+    connection.onClose = () => process.exit(server.isShutdown ? 0 : 1);
+}
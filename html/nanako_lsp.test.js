@@ -0,0 +1,302 @@
+// Nanako (ななこ) Language Server Jest Test Suite
+
+const path = require('path');
+const { PassThrough } = require('stream');
+const { spawnSync } = require('child_process');
+const { LspConnection, NanakoLanguageServer, TOKEN_TYPES } = require('./nanako_lsp.js');
+
+const URI = 'file:///test.nanako';
+
+const PROGRAM = `# 合計
+合計 = 入力 A, n に対し {
+    s = 0
+    i = 0
+    n回、くり返す {
+        s = s
+        i を増やす
+    }
+    s が答え
+}
+x = 合計([1, 2], 2)
+`;
+
+function frame(message) {
+    const body = JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`;
+}
+
+class TestNanakoLsp {
+    beforeEach() {
+        this.sent = [];
+        this.server = new NanakoLanguageServer(message => this.sent.push(message));
+        this.nextId = 1;
+    }
+
+    request(method, params) {
+        const id = this.nextId++;
+        this.server.handle({ jsonrpc: '2.0', id, method, params });
+        return this.sent.find(message => message.id === id);
+    }
+
+    notify(method, params) {
+        this.server.handle({ jsonrpc: '2.0', method, params });
+    }
+
+    open(text = PROGRAM) {
+        this.request('initialize', { initializationOptions: {} });
+        this.notify('textDocument/didOpen', { textDocument: { uri: URI, languageId: 'nanako', version: 1, text } });
+        return this.sent.filter(message => message.method === 'textDocument/publishDiagnostics').pop().params;
+    }
+
+    at(line, character) {
+        return { textDocument: { uri: URI }, position: { line, character } };
+    }
+
+    ranges(locations) {
+        return locations.map(location => [location.range.start.line, location.range.start.character, location.range.end.character]);
+    }
+
+    testInitialize() {
+        const response = this.request('initialize', {});
+        const capabilities = response.result.capabilities;
+        expect(capabilities.textDocumentSync).toBe(1);
+        expect(capabilities.definitionProvider).toBe(true);
+        expect(capabilities.renameProvider).toEqual({ prepareProvider: true });
+        expect(capabilities.semanticTokensProvider.legend.tokenTypes).toEqual(TOKEN_TYPES);
+        expect(response.result.serverInfo.name).toBe('nanako-lsp');
+        expect(this.request('textDocument/unknown', {}).error.code).toBe(-32601);
+    }
+
+    testDiagnostics() {
+        const published = this.open('x = y\nもし x が 1 ならば、{\n');
+        expect(published.uri).toBe(URI);
+        expect(published.diagnostics.length).toBeGreaterThan(0);
+        expect(published.diagnostics[0].severity).toBe(1);
+        expect(published.diagnostics[0].source).toBe('nanako');
+
+        this.notify('textDocument/didChange', {
+            textDocument: { uri: URI, version: 2 },
+            contentChanges: [{ text: 'x = y\n' }]
+        });
+        const changed = this.sent.pop().params;
+        expect(changed.version).toBe(2);
+        expect(changed.diagnostics).toEqual([{
+            range: { start: { line: 0, character: 4 }, end: { line: 0, character: 5 } },
+            severity: 1,
+            source: 'nanako',
+            code: 'undefined-variable',
+            message: "変数 'y' は、使う前に代入されていません"
+        }]);
+
+        this.notify('textDocument/didClose', { textDocument: { uri: URI } });
+        expect(this.sent.pop().params.diagnostics).toEqual([]);
+    }
+
+    testWarnings() {
+        const published = this.open('f = 入力 a, b に対し {\n    a が答え\n}\nx = f(1, 2)\n');
+        expect(published.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.severity])).toEqual([['unused-parameter', 2]]);
+        expect(published.diagnostics[0].range.start).toEqual({ line: 0, character: 10 });
+    }
+
+    testDefinition() {
+        this.open();
+        // 呼び出しの「合計」から、関数を代入したところへ
+        expect(this.request('textDocument/definition', this.at(10, 5)).result).toEqual({
+            uri: URI,
+            range: { start: { line: 1, character: 0 }, end: { line: 1, character: 2 } }
+        });
+        // 引数は、関数の見出しの名前へ
+        expect(this.request('textDocument/definition', this.at(4, 4)).result.range.start).toEqual({ line: 1, character: 11 });
+        expect(this.request('textDocument/definition', this.at(0, 0)).result).toBeNull();
+    }
+
+    testReferences() {
+        this.open();
+        const all = this.request('textDocument/references', { ...this.at(2, 4), context: { includeDeclaration: true } });
+        expect(this.ranges(all.result)).toEqual([[2, 4, 5], [5, 8, 9], [5, 12, 13], [8, 4, 5]]);
+        const uses = this.request('textDocument/references', { ...this.at(2, 4), context: { includeDeclaration: false } });
+        expect(this.ranges(uses.result)).toEqual([[5, 12, 13], [8, 4, 5]]);
+    }
+
+    testScopes() {
+        // 関数の中で代入した変数は、外側の同じ名前の変数とは別のもの
+        this.open('s = 1\nf = 入力 a に対し {\n    s = a\n    s が答え\n}\nt = s\n');
+        const outer = this.request('textDocument/references', { ...this.at(0, 0), context: { includeDeclaration: true } });
+        expect(this.ranges(outer.result)).toEqual([[0, 0, 1], [5, 4, 5]]);
+        const inner = this.request('textDocument/references', { ...this.at(3, 4), context: { includeDeclaration: true } });
+        expect(this.ranges(inner.result)).toEqual([[2, 4, 5], [3, 4, 5]]);
+    }
+
+    testRename() {
+        this.open();
+        const prepared = this.request('textDocument/prepareRename', this.at(10, 4));
+        expect(prepared.result.placeholder).toBe('合計');
+        const response = this.request('textDocument/rename', { ...this.at(10, 4), newName: 'sum' });
+        expect(response.result.changes[URI].map(edit => [edit.range.start.line, edit.range.start.character, edit.newText]))
+            .toEqual([[1, 0, 'sum'], [10, 4, 'sum']]);
+        const invalid = this.request('textDocument/rename', { ...this.at(10, 4), newName: 'もし' });
+        expect(invalid.error.code).toBe(-32803);
+        expect(invalid.error.message).toBe("'もし' は変数の名前にできません");
+    }
+
+    testRenameReadBack() {
+        // 代入の左辺には書けても、式の中で同じ名前として読めない名前にはしない
+        this.open('x = 1\ny = x\n');
+        for (const newName of ['x!', 'x1y', 'aを', '1x']) {
+            const response = this.request('textDocument/rename', { ...this.at(1, 4), newName });
+            expect(response.error.code).toBe(-32803);
+        }
+        const response = this.request('textDocument/rename', { ...this.at(1, 4), newName: 'x1' });
+        expect(response.result.changes[URI].map(edit => edit.newText)).toEqual(['x1', 'x1']);
+    }
+
+    testHover() {
+        this.open();
+        const func = this.request('textDocument/hover', this.at(10, 4)).result;
+        expect(func.contents.kind).toBe('markdown');
+        expect(func.contents.value).toContain('合計 = 入力 A, n に対し');
+        expect(func.contents.value).toContain('関数(');
+        const variable = this.request('textDocument/hover', this.at(2, 4)).result;
+        expect(variable.contents.value).toBe('変数 `s`\n\n型: `数`');
+        expect(this.request('textDocument/hover', this.at(0, 2)).result).toBeNull();
+    }
+
+    testDocumentSymbols() {
+        this.open();
+        const symbols = this.request('textDocument/documentSymbol', { textDocument: { uri: URI } }).result;
+        expect(symbols.map(symbol => [symbol.name, symbol.kind])).toEqual([['合計', 12], ['x', 13]]);
+        expect(symbols[0].detail).toBe('入力 A, n に対し');
+        expect(symbols[0].range.end).toEqual({ line: 9, character: 1 });
+        expect(symbols[0].children.map(symbol => symbol.name)).toEqual(['A', 'n', 's', 'i']);
+    }
+
+    testSemanticTokens() {
+        const text = '# 合計\nもし x が 1 以上ならば、{\n    y = "は"\n}\n';
+        this.open(text);
+        const data = this.request('textDocument/semanticTokens/full', { textDocument: { uri: URI } }).result.data;
+        const tokens = [];
+        let line = 0;
+        let character = 0;
+        for (let i = 0; i < data.length; i += 5) {
+            character = data[i] === 0 ? character + data[i + 1] : data[i + 1];
+            line += data[i];
+            tokens.push([text.split('\n')[line].substr(character, data[i + 2]), TOKEN_TYPES[data[i + 3]], data[i + 4]]);
+        }
+        expect(tokens).toEqual([
+            ['# 合計', 'comment', 0],
+            ['もし', 'keyword', 0],
+            ['x', 'variable', 0],
+            ['が', 'keyword', 0],
+            ['1', 'number', 0],
+            ['以上', 'operator', 0],
+            ['ならば', 'keyword', 0],
+            ['y', 'variable', 1],
+            ['"は"', 'string', 0]
+        ]);
+    }
+
+    testInvalidLevel() {
+        const response = this.request('initialize', { initializationOptions: { level: 9 } });
+        expect(response.error).toEqual({ code: -32602, message: 'レベル 9 はありません（1〜3）' });
+        expect(this.request('initialize', { initializationOptions: { level: 1 } }).result.capabilities).toBeDefined();
+    }
+
+    testNotificationErrors() {
+        // 通知の失敗はログに出して、そのあともメッセージを受けつける
+        this.request('initialize', {});
+        this.notify('textDocument/didOpen', {});
+        const logged = this.sent.pop();
+        expect(logged.method).toBe('window/logMessage');
+        expect(logged.params.type).toBe(1);
+        expect(logged.params.message).toMatch(/^textDocument\/didOpen に失敗しました: /);
+        expect(this.open().uri).toBe(URI);
+    }
+
+    testShutdown() {
+        const codes = [];
+        this.server.onExit = code => codes.push(code);
+        this.notify('exit');
+        expect(this.request('shutdown').result).toBeNull();
+        this.notify('exit');
+        expect(codes).toEqual([1, 0]);
+    }
+
+    testConnection() {
+        // ヘッダーや本文（マルチバイト文字）が、途中で分かれて届いても読める
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const connection = new LspConnection(input, output);
+        const received = [];
+        connection.onMessage = message => received.push(message);
+        const bytes = Buffer.from(frame({ jsonrpc: '2.0', id: 1, method: 'a', params: { text: 'ななこ' } }) + frame({ jsonrpc: '2.0', method: 'b' }));
+        for (const size of [5, 17, 30, bytes.length]) {
+            input.write(bytes.slice(0, size));
+            input.write(bytes.slice(size));
+        }
+        expect(received.length).toBe(8);
+        expect(received[0].params.text).toBe('ななこ');
+        expect(received[1].method).toBe('b');
+
+        connection.send({ jsonrpc: '2.0', id: 1, result: 'ななこ' });
+        const written = output.read().toString('utf8');
+        const body = JSON.stringify({ jsonrpc: '2.0', id: 1, result: 'ななこ' });
+        expect(written).toBe(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+    }
+
+    testMalformedFrame() {
+        // 壊れた本文にはエラーを返して、続くメッセージは読む
+        const input = new PassThrough();
+        const output = new PassThrough();
+        const connection = new LspConnection(input, output);
+        const received = [];
+        connection.onMessage = message => received.push(message);
+        input.write('Content-Length: 5\r\n\r\n{abc}' + frame({ jsonrpc: '2.0', method: 'b' }));
+        expect(received).toEqual([{ jsonrpc: '2.0', method: 'b' }]);
+        const written = output.read().toString('utf8');
+        const error = JSON.parse(written.slice(written.indexOf('\r\n\r\n') + 4));
+        expect(error.id).toBeNull();
+        expect(error.error.code).toBe(-32700);
+    }
+
+    testStdio() {
+        const input = [
+            frame({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }),
+            frame({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: { textDocument: { uri: URI, version: 1, text: 'x = y\n' } } }),
+            frame({ jsonrpc: '2.0', id: 2, method: 'shutdown' }),
+            frame({ jsonrpc: '2.0', method: 'exit' })
+        ].join('');
+        const result = spawnSync(process.execPath, [path.join(__dirname, 'nanako_lsp.js')], { input, timeout: 10000 });
+        expect(result.status).toBe(0);
+        const output = result.stdout.toString('utf8');
+        const bodies = output.split(/Content-Length: \d+\r\n\r\n/).filter(body => body !== '').map(body => JSON.parse(body));
+        expect(bodies.map(body => body.id || body.method)).toEqual([1, 'textDocument/publishDiagnostics', 2]);
+        expect(bodies[1].params.diagnostics[0].code).toBe('undefined-variable');
+    }
+}
+
+describe('NanakoLsp', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoLsp();
+        testInstance.beforeEach();
+    });
+
+    test('initialize', () => testInstance.testInitialize());
+    test('diagnostics', () => testInstance.testDiagnostics());
+    test('warnings', () => testInstance.testWarnings());
+    test('definition', () => testInstance.testDefinition());
+    test('references', () => testInstance.testReferences());
+    test('scopes', () => testInstance.testScopes());
+    test('rename', () => testInstance.testRename());
+    test('rename read back', () => testInstance.testRenameReadBack());
+    test('hover', () => testInstance.testHover());
+    test('document symbols', () => testInstance.testDocumentSymbols());
+    test('semantic tokens', () => testInstance.testSemanticTokens());
+    test('invalid level', () => testInstance.testInvalidLevel());
+    test('notification errors', () => testInstance.testNotificationErrors());
+    test('shutdown', () => testInstance.testShutdown());
+    test('connection', () => testInstance.testConnection());
+    test('malformed frame', () => testInstance.testMalformedFrame());
+    test('stdio', () => testInstance.testStdio());
+});
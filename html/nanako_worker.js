@@ -0,0 +1,129 @@
+// Nanako (ななこ) - Web Worker
+// エディタのページとは別スレッドでプログラムを実行する
+//
+// 受信: { type: 'run', code, timeout, budget, trace, profile, scoping, level }
+//       { type: 'experiment', code, funcName, sizes, order, counter, seed, timeout }
+// 送信: { type: 'print', line, code, text, value }
+//       { type: 'done', json, incrementCount, decrementCount, compareCount, jsCode, pyCode, jsLines, pyLines, bytecode, bytecodeLines, trace, profile }
+//       { type: 'error', message, line, col, pos, callFrames, trace, profile }
+//       { type: 'progress', result }            （実験の途中経過）
+//       { type: 'experiment', result }
+// trace と profile は message で指定したときだけ NanakoTrace・NanakoProfiler の JSON が入る
+// level は授業のレベル（1〜3、NANAKO_LEVELS を参照）。使えない書き方は実行する前にエラーになる
+// jsLines・pyLines は生成したコードの各行に対応する Nanako の行（ProgramNode.emitWithMap を参照）
+// bytecode は NanakoVM の命令の一覧、bytecodeLines はその各行の Nanako の行（disassemble を参照）
+
+importScripts('nanako.js');
+
+function runProgram(message, post) {
+    const runtime = new NanakoRuntime();
+    runtime.print = function(value, source, pos, endPos) {
+        const details = errorDetails(source, pos);
+        post({
+            type: 'print',
+            line: details.line,
+            code: details.lineText.trim(),
+            text: formatValue(value),
+            value: traceValue(value)
+        });
+    };
+
+    try {
+        const parser = new NanakoParser({ level: message.level });
+        const program = parser.parse(message.code);
+        const env = {};
+        if (message.budget) {
+            runtime.setBudget(message.budget);
+        }
+        if (message.scoping) {
+            runtime.scoping = message.scoping;
+        }
+        if (message.profile) {
+            runtime.startProfile();
+        }
+        if (message.trace) {
+            runtime.startTrace(message.trace === true ? undefined : message.trace);
+        }
+        runtime.start(message.timeout === undefined ? 30 : message.timeout);
+        runtime.runCompiled(program, env);
+
+        let js, py, bytecode;
+        try {
+            js = program.emitWithMap('js');
+            py = program.emitWithMap('py');
+            bytecode = disassemble(program);
+        } catch (e) {
+            js = { code: '// コード生成中にエラーが発生しました\n' + e.message, lines: [] };
+            py = { code: '# コード生成中にエラーが発生しました\n' + e.message, lines: [] };
+            bytecode = { code: 'コード生成中にエラーが発生しました\n' + e.message, lines: [] };
+        }
+
+        post({
+            type: 'done',
+            json: runtime.stringfyAsJson(env),
+            incrementCount: runtime.incrementCount,
+            decrementCount: runtime.decrementCount,
+            compareCount: runtime.compareCount,
+            jsCode: js.code,
+            pyCode: py.code,
+            jsLines: js.lines,
+            pyLines: py.lines,
+            bytecode: bytecode.code,
+            bytecodeLines: bytecode.lines,
+            trace: traceJSON(runtime),
+            profile: profileJSON(runtime)
+        });
+    } catch (error) {
+        post({
+            type: 'error',
+            message: error.message,
+            line: error.line,
+            col: error.col,
+            pos: error.pos,
+            callFrames: error.callFrames || null,
+            trace: traceJSON(runtime),
+            profile: profileJSON(runtime)
+        });
+    }
+}
+
+function profileJSON(runtime) {
+    const profiler = runtime.stopProfile();
+    return profiler === null ? null : profiler.toJSON();
+}
+
+function traceJSON(runtime) {
+    const trace = runtime.stopTrace();
+    return trace === null ? null : trace.toJSON();
+}
+
+function runExperiment(message, post) {
+    try {
+        const experiment = new NanakoExperiment(message.code, message.funcName);
+        const result = experiment.run(message.sizes, {
+            order: message.order,
+            counter: message.counter,
+            seed: message.seed,
+            timeout: message.timeout,
+            onProgress: result => post({ type: 'progress', result })
+        });
+        post({ type: 'experiment', result });
+    } catch (error) {
+        post({
+            type: 'error',
+            message: error.message,
+            line: error.line,
+            col: error.col,
+            pos: error.pos,
+            callFrames: error.callFrames || null
+        });
+    }
+}
+
+self.onmessage = function(event) {
+    if (event.data && event.data.type === 'run') {
+        runProgram(event.data, data => self.postMessage(data));
+    } else if (event.data && event.data.type === 'experiment') {
+        runExperiment(event.data, data => self.postMessage(data));
+    }
+};
@@ -0,0 +1,146 @@
+// Nanako (ななこ) Web Worker Jest Test Suite
+
+const fs = require('fs');
+const path = require('path');
+
+const nanakoCode = fs.readFileSync(path.join(__dirname, 'nanako.js'), 'utf8');
+const workerCode = fs.readFileSync(path.join(__dirname, 'nanako_worker.js'), 'utf8');
+
+// Load nanako_worker.js with a fake worker global scope
+const createWorker = () => {
+    const self = { messages: [] };
+    self.postMessage = (data) => self.messages.push(data);
+    const importScripts = () => {};
+    const func = new Function('self', 'importScripts', nanakoCode + ';\n' + workerCode + '; return self;');
+    return func(self, importScripts);
+};
+
+class TestNanakoWorker {
+    beforeEach() {
+        this.worker = createWorker();
+    }
+
+    run(code, timeout = 1, options = {}) {
+        this.worker.onmessage({ data: { type: 'run', code, timeout, ...options } });
+        return this.worker.messages;
+    }
+
+    testPrint() {
+        const messages = this.run(`
+x = 1
+xを増やす
+x
+s = "AB"
+s
+`);
+        const prints = messages.filter(m => m.type === 'print');
+        expect(prints).toEqual([
+            { type: 'print', line: 4, code: 'x', text: '2', value: 2 },
+            { type: 'print', line: 6, code: 's', text: '"AB"', value: 'AB' }
+        ]);
+    }
+
+    testDone() {
+        const messages = this.run(`
+x = 1
+xを増やす
+`);
+        const done = messages[messages.length - 1];
+        expect(done.type).toBe('done');
+        expect(done.json).toBe('{\n    "x": 2\n}');
+        expect(done.incrementCount).toBe(1);
+        expect(done.decrementCount).toBe(0);
+        expect(done.compareCount).toBe(0);
+        expect(done.jsCode).toBe('env.x = 1;\nenv.x = nanako.increment(env.x);');
+        expect(done.jsLines).toEqual([2, 3]);
+        expect(done.pyLines).toEqual([2, 3]);
+        expect(done.bytecode.split('\n')[1]).toBe('   0  STMT          x = 1   #(2行目)');
+        expect(done.bytecodeLines).toEqual([null, 2, 2, 2, 2, 3, 3, 3, 3, 3, 3]);
+        expect(done.trace).toBeNull();
+    }
+
+    testTrace() {
+        const messages = this.run(`
+x = 1
+xを増やす
+y = z
+`, 1, { trace: true });
+        const error = messages[messages.length - 1];
+        expect(error.type).toBe('error');
+        expect(error.trace.records.map(record => [record.line, record.variable, record.newValue])).toEqual([
+            [2, 'x', 1],
+            [3, 'x', 2],
+            [4, 'y', null]
+        ]);
+        expect(error.trace.records[1].increments).toBe(1);
+    }
+
+    testError() {
+        const messages = this.run(`
+x = 1
+y = z
+`);
+        expect(messages).toHaveLength(1);
+        expect(messages[0].type).toBe('error');
+        expect(messages[0].message).toMatch(/知らない変数/);
+        expect(messages[0].line).toBe(3);
+    }
+
+    testLevel() {
+        const messages = this.run('A = [1]\nx = A[0]\n', 1, { level: 1 });
+        expect(messages).toHaveLength(1);
+        expect(messages[0].type).toBe('error');
+        expect(messages[0].message).toBe('このレベルでは配列は使えません');
+        expect(messages[0].line).toBe(1);
+    }
+
+    testBudget() {
+        const messages = this.run('x = 0\n?回、くり返す {\n    xを増やす\n}\n', 0, { budget: { statements: 50 } });
+        expect(messages).toHaveLength(1);
+        expect(messages[0].type).toBe('error');
+        expect(messages[0].message).toBe('実行ステップ数の上限(50回)に達しました');
+        expect(messages[0].line).toBe(3);
+    }
+
+    testExperiment() {
+        this.worker.onmessage({ data: {
+            type: 'experiment',
+            code: '数える = 入力 A に対し {\n    n = 0\n    |A|回、くり返す {\n        nを増やす\n    }\n}',
+            funcName: '数える',
+            sizes: [1, 2, 3],
+            order: 'sorted',
+            counter: 'total'
+        } });
+        const messages = this.worker.messages;
+        expect(messages.map(m => m.type)).toEqual(['progress', 'progress', 'progress', 'experiment']);
+        expect(messages[3].result.results.map(run => run.total)).toEqual([1, 2, 3]);
+        expect(messages[3].result.best).toBe('O(n)');
+    }
+
+    testTimeout() {
+        const messages = this.run(`
+?回、くり返す {
+}
+`);
+        expect(messages[0].type).toBe('error');
+        expect(messages[0].message).toMatch(/タイムアウト/);
+    }
+}
+
+describe('NanakoWorker', () => {
+    let testInstance;
+
+    beforeEach(() => {
+        testInstance = new TestNanakoWorker();
+        testInstance.beforeEach();
+    });
+
+    test('print', () => testInstance.testPrint());
+    test('done', () => testInstance.testDone());
+    test('error', () => testInstance.testError());
+    test('timeout', () => testInstance.testTimeout());
+    test('trace', () => testInstance.testTrace());
+    test('level', () => testInstance.testLevel());
+    test('budget', () => testInstance.testBudget());
+    test('experiment', () => testInstance.testExperiment());
+});